@@ -2,119 +2,239 @@
 
 const fs = require("fs");
 const path = require("path");
-const { execSync } = require("child_process");
-const prompts = require("prompts");
+const crypto = require("crypto");
 const chalk = require("chalk");
-const sharp = require("sharp");
-
-const iconSizes = [
-  { name: "favicon-16x16.ico", size: 16 },
-  { name: "favicon-32x32.ico", size: 32 },
-  { name: "favicon-32x32.png", size: 32 },
-  { name: "favicon-16x16.png", size: 16 },
-  { name: "icon-48x48.png", size: 48 },
-  { name: "icon-72x72.png", size: 72 },
-  { name: "icon-96x96.png", size: 96 },
-  { name: "icon-128x128.png", size: 128 },
-  { name: "icon-144x144.png", size: 144 },
-  { name: "icon-152x152.png", size: 152 },
-  { name: "icon-192x192.png", size: 192 },
-  { name: "icon-384x384.png", size: 384 },
-  { name: "icon-512x512.png", size: 512 },
-  { name: "apple-touch-icon-57x57.png", size: 57 },
-  { name: "apple-touch-icon-60x60.png", size: 60 },
-  { name: "apple-touch-icon-72x72.png", size: 72 },
-  { name: "apple-touch-icon-76x76.png", size: 76 },
-  { name: "apple-touch-icon-114x114.png", size: 114 },
-  { name: "apple-touch-icon-120x120.png", size: 120 },
-  { name: "apple-touch-icon-144x144.png", size: 144 },
-  { name: "apple-touch-icon-152x152.png", size: 152 },
-  { name: "apple-touch-icon-180x180.png", size: 180 },
-  { name: "maskable_icon-192x192.png", size: 192 },
-  { name: "maskable_icon-512x512.png", size: 512 },
-  { name: "og-image.png", size: { width: 1200, height: 630 } },
-  { name: "twitter-card.png", size: { width: 1024, height: 512 } },
-  {
-    name: "iPhone-X-XR-11-Pro-1125x2436.png",
-    size: { width: 1125, height: 2436 },
-  },
-  { name: "iPhone-XR-11-828x1792.png", size: { width: 828, height: 1792 } },
-  {
-    name: "iPhone-XS-Max-11-Pro-Max-1242x2688.png",
-    size: { width: 1242, height: 2688 },
-  },
-  {
-    name: "iPhone-6-6S-7-8-SE-750x1334.png",
-    size: { width: 750, height: 1334 },
-  },
-  {
-    name: "iPad-Mini-Air-Pro-9.7-inch-1536x2048.png",
-    size: { width: 1536, height: 2048 },
-  },
-  {
-    name: "iPad-Pro-11-inch-1668x2388.png",
-    size: { width: 1668, height: 2388 },
-  },
-  {
-    name: "iPad-Pro-12.9-inch-2048x2732.png",
-    size: { width: 2048, height: 2732 },
-  },
-];
-
-async function generateAssets(logoPath, outputPath) {
-  console.log(chalk.blue("\nGenerating PWA assets..."));
+const {
+  usage,
+  parseCliOptions,
+  createAsker,
+  validateHexColor,
+  readOption,
+} = require("../lib/options");
+const {
+  getPwaMetadata,
+  getPwaViewport,
+  getPwaHeadTags,
+  renderTag,
+  findMetadataTargets,
+  injectPwaMetadata,
+  removePwaMetadata,
+} = require("../lib/layout");
+const { findNextConfig, unwrapNextConfig } = require("../lib/next-config");
+const { toJsLiteral } = require("../lib/ast");
+const {
+  getAssetRegistry,
+  getHeadAssets,
+  describeAssets,
+} = require("../lib/assets");
+const { DEFAULT_MASKABLE_PADDING, SOCIAL_TEMPLATES } = require("../lib/images");
+const { DEFAULT_SPLASH_LOGO_RATIO } = require("../lib/splash");
+const { getAssetUrl } = require("../lib/generate");
+const { resolveOutputOptions } = require("../lib/output");
+const { createWriter, formatBytes, printPlan } = require("../lib/writer");
+const { INSTALL_FILES, createJournal, undoLastRun } = require("../lib/journal");
+const {
+  MANIFEST_FILE,
+  MANIFEST_URLS,
+  DISPLAY_MODES,
+  DISPLAY_OVERRIDE_MODES,
+  ORIENTATIONS,
+  TEXT_DIRECTIONS,
+  LAUNCH_CLIENT_MODES,
+  parseList,
+  resolveManifestDetails,
+  buildManifest,
+  getManifestRouteFile,
+  findManifestRoute,
+  createManifestRouteSource,
+  readProjectManifest,
+} = require("../lib/manifest");
+const {
+  getLocaleManifestFile,
+  readNextI18n,
+  resolveLocales,
+  getLocaleManifestOptions,
+  getManifestTranslations,
+} = require("../lib/locales");
+const {
+  BACKENDS,
+  getBackend,
+  detectBackend,
+  patchGitignore,
+} = require("../lib/backends");
+const {
+  CACHING_PRESETS,
+  getCachingRoutes,
+  describeCachingRoute,
+} = require("../lib/caching");
+const {
+  getComponentsDir,
+  getComponents,
+  findComponent,
+  getComponentsUsage,
+} = require("../lib/components");
+const {
+  ENV_FILE,
+  SEND_SCRIPT,
+  SEND_SCRIPT_NAME,
+  generateVapidKeys,
+  patchEnvFile,
+  isEnvFileIgnored,
+  getPushWorker,
+  createPushHandlersSource,
+  patchPushWorker,
+  createSubscribeHelperSource,
+  getSubscribeRoute,
+  findSubscribeRoute,
+  createSubscribeRouteSource,
+  createSendScriptSource,
+} = require("../lib/push");
+const {
+  OFFLINE_URL,
+  getOfflinePage,
+  findOfflinePage,
+  createOfflinePageSource,
+} = require("../lib/offline");
+const {
+  getInstalledPwaPackages,
+  findAssetsDir,
+  getGeneratedAssets,
+  findPwaFiles,
+} = require("../lib/remove");
+const {
+  findLockfile,
+  getInstallCommand,
+  getUninstallCommand,
+  findNextApps,
+  getStructure,
+  detectStructure,
+  describeStructure,
+} = require("../lib/project");
+const {
+  generateAssets,
+  addAssetsWithoutLogo,
+  detectPackageManager,
+  configureNextConfig,
+  runDoctor,
+} = require("../lib");
+const { version } = require("../package.json");
 
+// Generates the assets from the logo, printing each file as it's written.
+async function generateLogoAssets(options) {
+  console.log(chalk.blue("\nGenerating PWA assets..."));
+  let result;
   try {
-    // Ensure output directory exists
-    fs.mkdirSync(outputPath, { recursive: true });
-
-    // Read the source image
-    const sourceImage = sharp(logoPath);
-    const metadata = await sourceImage.metadata();
+    result = await generateAssets({
+      ...options,
+      onAsset: (asset) => {
+        if (asset.skipped) return;
+        console.log(
+          chalk.green(
+            `✓ Generated ${asset.name} ${chalk.dim(
+              `(${formatBytes(asset.bytes)}, ${asset.time}ms)`
+            )}`
+          )
+        );
+      },
+    });
+  } catch (error) {
+    console.error(chalk.red(`Error generating assets: ${error.message}`));
+    throw new Error("Failed to generate assets");
+  }
 
-    // Check if image is large enough
-    if (metadata.width < 512 || metadata.height < 512) {
-      throw new Error("Source image should be at least 512x512 pixels");
-    }
+  for (const warning of result.warnings) {
+    console.log(chalk.yellow(`⚠ ${warning}`));
+  }
+  const skipped = result.skipped.length;
+  console.log(
+    chalk.blue(
+      `Generated ${result.generated.length} files (${formatBytes(
+        result.bytes
+      )}) in ${(result.duration / 1000).toFixed(1)}s${
+        skipped > 0
+          ? `, skipped ${skipped} unchanged (use --force to regenerate)`
+          : ""
+      }`
+    )
+  );
+  if (result.previewFile) {
+    console.log(chalk.green(`✓ Generated ${result.previewFile}`));
+  }
 
-    // Generate all icon sizes
-    for (const icon of iconSizes) {
-      const outputFile = path.join(outputPath, icon.name);
+  printSizeReport(result.report);
+  if (result.report.exceeded.length > 0) {
+    throw new Error(
+      `Assets are over the size budget: ${result.report.exceeded
+        .map(
+          (row) =>
+            `${row.label} ${formatBytes(row.bytes)} > ${formatBytes(
+              row.budget
+            )}`
+        )
+        .join(", ")}`
+    );
+  }
+}
 
-      if (typeof icon.size === "number") {
-        // Square icons
-        await sourceImage
-          .resize(icon.size, icon.size, {
-            fit: "contain",
-            background: { r: 255, g: 255, b: 255, alpha: 0 },
-          })
-          .toFile(outputFile);
-      } else {
-        // Rectangle icons (splash screens, social media)
-        await sourceImage
-          .resize(icon.size.width, icon.size.height, {
-            fit: "contain",
-            background: { r: 255, g: 255, b: 255, alpha: 0 },
-          })
-          .toFile(outputFile);
-      }
+// One row per kind of asset with its file count, size and budget. The
+// total is what the service worker precaches from the assets directory.
+function printSizeReport({ rows, total }) {
+  const width = Math.max(...[...rows, total].map((row) => row.label.length));
+  const formatRow = (row) => {
+    const budget =
+      row.budget === undefined
+        ? ""
+        : row.bytes > row.budget
+        ? chalk.red(`  ✗ over the ${formatBytes(row.budget)} budget`)
+        : chalk.green(`  ✓ within ${formatBytes(row.budget)}`);
+    return `  ${row.label.padEnd(width)}  ${String(row.files).padStart(4)} ${
+      row.files === 1 ? "file " : "files"
+    }  ${formatBytes(row.bytes).padStart(9)}${budget}`;
+  };
 
-      console.log(chalk.green(`✓ Generated ${icon.name}`));
-    }
+  console.log(chalk.blue("\nAsset sizes:"));
+  rows.forEach((row) => console.log(formatRow(row)));
+  console.log(chalk.bold(formatRow(total)));
+}
 
-    return true;
-  } catch (error) {
-    console.error(chalk.red(`Error generating assets: ${error.message}`));
-    return false;
+// The output options from the config file's `output`, with the flags that
+// set the common ones on top.
+function getOutputOptions(values) {
+  const output = { ...values.output };
+  if (values.palette) output.icons = { ...output.icons, palette: true };
+  if (values.splashFormat) {
+    output.splash = { ...output.splash, format: values.splashFormat };
+  }
+  if (values.socialAlternates) {
+    output.social = {
+      ...output.social,
+      alternates: parseList(values.socialAlternates),
+    };
   }
+  if (values.keepMetadata) output.stripMetadata = false;
+  return resolveOutputOptions(output);
 }
 
-async function detectPackageManager() {
-  if (fs.existsSync("yarn.lock")) return "yarn";
-  if (fs.existsSync("pnpm-lock.yaml")) return "pnpm";
-  if (fs.existsSync("package-lock.json")) return "npm";
+// --assets may be given with or without the public/ prefix
+function normalizeAssetsPath(assetsPath) {
+  const normalized = path.normalize(assetsPath).replace(/\\/g, "/");
+  return normalized === "public" || normalized.startsWith("public/")
+    ? normalized
+    : `public/${normalized}`;
+}
+
+function describeWrite(writer, existed) {
+  if (writer.dryRun) return existed ? "Would update" : "Would create";
+  return existed ? "Updated" : "Created";
+}
 
-  const response = await prompts({
+async function choosePackageManager(ask, preferred) {
+  if (!preferred) {
+    const detected = await detectPackageManager();
+    if (detected) return detected;
+  }
+
+  const packageManager = await ask({
     type: "select",
     name: "packageManager",
     message: "Which package manager are you using?",
@@ -122,21 +242,174 @@ async function detectPackageManager() {
       { title: "npm", value: "npm" },
       { title: "yarn", value: "yarn" },
       { title: "pnpm", value: "pnpm" },
+      { title: "bun", value: "bun" },
     ],
     initial: 0,
-    onState: (state) => {
-      if (state.aborted) {
-        process.nextTick(() => {
-          process.exit(0);
+  });
+
+  return packageManager || "npm";
+}
+
+function runScript(packageManager, script) {
+  // `bun build` is Bun's bundler, not the build script
+  return ["npm", "bun"].includes(packageManager)
+    ? `${packageManager} run ${script}`
+    : `${packageManager} ${script}`;
+}
+
+// Moves into the Next.js app to work on. Run from a workspace root, that's
+// the workspace package depending on next, or the one the user picks when
+// there are several.
+async function enterNextApp(ask) {
+  const apps = findNextApps();
+  if (apps.length === 0 || apps[0] === ".") return;
+
+  const app =
+    apps.length === 1
+      ? apps[0]
+      : await ask({
+          type: "select",
+          name: "app",
+          message: "Which Next.js app should be set up?",
+          choices: apps.map((dir) => ({ title: dir, value: dir })),
+          initial: 0,
         });
-      }
-    },
+  process.chdir(app);
+  console.log(chalk.blue(`Using the Next.js app in ${app}`));
+}
+
+// The optional manifest members. They're only prompted for when the user
+// asks to customize them, otherwise they come from flags, the config file or
+// the defaults.
+async function getManifestDetails(ask, values) {
+  const customize = await ask({
+    type: "toggle",
+    name: "customizeManifest",
+    message:
+      "Customize the manifest (display, orientation, language, categories...)?",
+    initial: false,
+    active: "yes",
+    inactive: "no",
+    optional: true,
   });
+  const askDetail = customize
+    ? ask
+    : createAsker({ values, yes: true, interactive: false });
+  const notSet = { title: "Not set", value: "" };
+  const choicesOf = (list) => list.map((value) => ({ title: value, value }));
+  const validateList = (allowed) => (value) => {
+    const invalid = parseList(value).filter((item) => !allowed.includes(item));
+    return invalid.length === 0
+      ? true
+      : `${invalid.join(", ")} must be one of ${allowed.join(", ")}`;
+  };
+
+  const details = {
+    id: await askDetail({
+      type: "text",
+      name: "id",
+      message: "App id (keeps installs identified if start_url changes):",
+      initial: "",
+    }),
+    startUrl: await askDetail({
+      type: "text",
+      name: "startUrl",
+      message: "Start URL:",
+      initial: "/?source=pwa",
+      validate: (value) =>
+        value.startsWith("/") ? true : "Please enter a path starting with /",
+    }),
+    display: await askDetail({
+      type: "select",
+      name: "display",
+      message: "Display mode:",
+      choices: choicesOf(DISPLAY_MODES),
+      initial: DISPLAY_MODES.indexOf("standalone"),
+    }),
+    displayOverride: await askDetail({
+      type: "text",
+      name: "displayOverride",
+      message: `Display mode overrides, in order of preference (${DISPLAY_OVERRIDE_MODES.join(
+        ", "
+      )}):`,
+      initial: "",
+      validate: validateList(DISPLAY_OVERRIDE_MODES),
+    }),
+    orientation: await askDetail({
+      type: "select",
+      name: "orientation",
+      message: "Orientation:",
+      choices: choicesOf(ORIENTATIONS),
+      initial: ORIENTATIONS.indexOf("portrait"),
+    }),
+    lang: await askDetail({
+      type: "text",
+      name: "lang",
+      message: "Language (e.g. en-US):",
+      initial: "",
+    }),
+    dir: await askDetail({
+      type: "select",
+      name: "dir",
+      message: "Text direction:",
+      choices: [notSet, ...choicesOf(TEXT_DIRECTIONS)],
+      initial: 0,
+    }),
+    categories: await askDetail({
+      type: "text",
+      name: "categories",
+      message: "Categories, comma separated (e.g. productivity, utilities):",
+      initial: "",
+    }),
+    launchHandler: await askDetail({
+      type: "select",
+      name: "launchHandler",
+      message: "How should launching the app reuse open windows?",
+      choices: [notSet, ...choicesOf(LAUNCH_CLIENT_MODES)],
+      initial: 0,
+    }),
+    shortcuts: [
+      ...[].concat(values.shortcuts || []),
+      ...[].concat(values.shortcut || []),
+    ],
+    screenshots: [
+      ...[].concat(values.screenshots || []),
+      ...[].concat(values.screenshot || []),
+    ],
+    shareTarget: values.shareTarget,
+    protocolHandlers: values.protocolHandlers,
+    fileHandlers: values.fileHandlers,
+  };
 
-  return response?.packageManager || "npm";
+  return resolveManifestDetails(details);
 }
 
-async function getManifestInfo() {
+// Paths given on the command line or in the config file stay relative to
+// where the CLI was run, even after moving into a workspace app.
+function resolveInputPaths(values) {
+  const resolveSrc = (spec) =>
+    typeof spec === "string"
+      ? path.resolve(spec)
+      : { ...spec, src: spec.src && path.resolve(spec.src) };
+
+  for (const key of ["logo", "darkLogo"]) {
+    if (values[key]) values[key] = path.resolve(values[key]);
+  }
+  for (const key of ["screenshot", "screenshots"]) {
+    if (values[key]) values[key] = [].concat(values[key]).map(resolveSrc);
+  }
+  if (values.shortcuts) {
+    values.shortcuts = []
+      .concat(values.shortcuts)
+      .map((shortcut) =>
+        shortcut && shortcut.icon
+          ? { ...shortcut, icon: path.resolve(shortcut.icon) }
+          : shortcut
+      );
+  }
+}
+
+async function getManifestInfo(ask) {
   try {
     const questions = [
       {
@@ -179,12 +452,10 @@ async function getManifestInfo() {
       },
     ];
 
-    const onCancel = () => {
-      console.log(chalk.yellow("\nSetup cancelled."));
-      process.exit(0);
-    };
-
-    const response = await prompts(questions, { onCancel });
+    const response = {};
+    for (const question of questions) {
+      response[question.name] = await ask(question);
+    }
 
     // Check if we have all required values
     const requiredFields = [
@@ -209,9 +480,595 @@ async function getManifestInfo() {
   }
 }
 
+// Locales from the config file or --locales, otherwise from the i18n
+// setting in next.config. The names of the locales that don't have them in
+// the config are asked for, defaulting to the app's. Null for apps in one
+// language.
+async function getLocales(ask, values, manifestInfo) {
+  const i18n = values.locales ? null : readNextI18n();
+  const resolved = resolveLocales(
+    values.locales || (i18n && i18n.locales),
+    values.defaultLocale || (i18n && i18n.defaultLocale)
+  );
+  if (!resolved || resolved.locales.length < 2) return null;
+  if (i18n) {
+    console.log(
+      chalk.blue(
+        `Found the locales ${resolved.locales
+          .map(({ locale }) => locale)
+          .join(", ")} in the next.config i18n setting`
+      )
+    );
+  }
+
+  for (const locale of resolved.locales) {
+    if (locale.locale === resolved.defaultLocale) continue;
+    for (const [key, message] of [
+      ["name", "App name"],
+      ["shortName", "Short name"],
+      ["description", "Description"],
+    ]) {
+      if (locale[key]) continue;
+      locale[key] = await ask({
+        type: "text",
+        name: `${locale.locale}.${key}`,
+        message: `${message} in ${locale.locale}:`,
+        initial:
+          key === "shortName" && locale.name ? locale.name : manifestInfo[key],
+        optional: true,
+      });
+    }
+  }
+  return resolved;
+}
+
+// Optional dark mode colors, asked for when they aren't supplied and the
+// user wants dark mode variants.
+async function getDarkModeColors(ask, values) {
+  const supplied = ["darkLogo", "darkThemeColor", "darkBackgroundColor"].some(
+    (name) => values[name]
+  );
+  const darkMode =
+    supplied ||
+    (await ask({
+      type: "toggle",
+      name: "darkMode",
+      message: "Add dark mode colors (dark splash screens and theme color)?",
+      initial: false,
+      active: "yes",
+      inactive: "no",
+      optional: true,
+    }));
+  if (!darkMode) return {};
+
+  const darkBackgroundColor = await ask({
+    type: "text",
+    name: "darkBackgroundColor",
+    message: "Enter dark mode background color (hex code):",
+    initial: "#000000",
+    validate: validateHexColor,
+    optional: true,
+  });
+  const darkThemeColor = await ask({
+    type: "text",
+    name: "darkThemeColor",
+    message: "Enter dark mode theme color (hex code):",
+    initial: darkBackgroundColor,
+    validate: validateHexColor,
+    optional: true,
+  });
+  return { darkThemeColor, darkBackgroundColor };
+}
+
+function undo() {
+  const journal = undoLastRun();
+  const files = journal.entries.filter((entry) => entry.type === "file");
+
+  console.log(chalk.blue(`Reverting the run from ${journal.startedAt}...`));
+  for (const entry of files) {
+    console.log(
+      chalk.green(`✓ ${entry.existed ? "Restored" : "Removed"} ${entry.path}`)
+    );
+  }
+
+  if (files.some((entry) => entry.path === "package.json")) {
+    console.log(
+      chalk.yellow(
+        "\npackage.json was restored, run your package manager's install to sync node_modules."
+      )
+    );
+  }
+  console.log(chalk.green("\nUndo complete."));
+}
+
+async function doctor() {
+  console.log(chalk.blue("Checking PWA setup...\n"));
+  const groups = await runDoctor();
+  const symbols = {
+    pass: chalk.green("✓"),
+    warn: chalk.yellow("⚠"),
+    fail: chalk.red("✗"),
+  };
+  const counts = { pass: 0, warn: 0, fail: 0 };
+
+  for (const group of groups) {
+    console.log(chalk.bold(group.name));
+    for (const { status, message } of group.results) {
+      counts[status] += 1;
+      console.log(`  ${symbols[status]} ${message}`);
+    }
+    console.log("");
+  }
+
+  console.log(
+    `${chalk.green(`${counts.pass} passed`)}, ${chalk.yellow(
+      `${counts.warn} warnings`
+    )}, ${chalk.red(`${counts.fail} failed`)}`
+  );
+  return counts.fail === 0;
+}
+
+// `simple-pwa push`: VAPID keys in .env.local, push handlers in the
+// service worker, a subscribe helper and route, and a send script.
+async function push({ ask, values, writer, journal, packageJson }) {
+  const structure = detectStructure();
+  if (!structure) {
+    throw new Error("No app/ or pages/ directory found to add push to.");
+  }
+  const typescript = writer.exists("tsconfig.json");
+
+  const backend = values.backend
+    ? getBackend(values.backend)
+    : detectBackend(packageJson);
+  if (!backend || backend.serviceWorker === false) {
+    throw new Error(
+      "Push notifications need a service worker. Run simple-pwa with the ducanh2912, serwist or next-pwa backend first."
+    );
+  }
+  console.log(chalk.blue(`Using the ${backend.title} service worker`));
+
+  const vapidSubject = await ask({
+    type: "text",
+    name: "vapidSubject",
+    message: "Contact for push services (mailto: or https: URL):",
+    initial: "mailto:admin@example.com",
+    validate: (value) =>
+      /^(mailto:|https:\/\/)/.test(value)
+        ? true
+        : "Please enter a mailto: or https: URL",
+    optional: true,
+  });
+  const packageManager = await choosePackageManager(ask, values.packageManager);
+
+  console.log(chalk.blue("\nInstalling web-push..."));
+  const lockfile = findLockfile();
+  writer.track([...INSTALL_FILES, ...(lockfile ? [lockfile.file] : [])]);
+  writer.exec(getInstallCommand(packageManager, ["web-push"], { dev: true }), {
+    stdio: "inherit",
+  });
+  console.log("");
+
+  // Keys only ever go to .env.local, never the committed config
+  const envExisted = writer.exists(ENV_FILE);
+  const envSource = envExisted ? writer.readFile(ENV_FILE, "utf8") : "";
+  const keys = generateVapidKeys();
+  const envContent = patchEnvFile(envSource, {
+    NEXT_PUBLIC_VAPID_PUBLIC_KEY: keys.publicKey,
+    VAPID_PRIVATE_KEY: keys.privateKey,
+    VAPID_SUBJECT: vapidSubject,
+    PUSH_API_SECRET: crypto.randomBytes(24).toString("base64url"),
+  });
+  if (envContent === envSource) {
+    console.log(chalk.yellow(`${ENV_FILE} already has push keys, kept them`));
+  } else {
+    writer.writeFile(ENV_FILE, envContent);
+    console.log(
+      chalk.green(`✓ ${describeWrite(writer, envExisted)} ${ENV_FILE}`)
+    );
+  }
+
+  const gitignoreExisted = writer.exists(".gitignore");
+  const gitignore = gitignoreExisted
+    ? writer.readFile(".gitignore", "utf8")
+    : "";
+  if (!isEnvFileIgnored(gitignore)) {
+    writer.writeFile(
+      ".gitignore",
+      patchGitignore(gitignore, [ENV_FILE], "Web Push keys")
+    );
+    console.log(
+      chalk.green(`✓ ${describeWrite(writer, gitignoreExisted)} .gitignore`)
+    );
+  }
+
+  // Notifications without a title or icon use the app's
+  const manifest = readProjectManifest(structure) || {};
+  const icons = Array.isArray(manifest.icons) ? manifest.icons : [];
+  const icon =
+    icons.find((candidate) => candidate.sizes === "192x192") || icons[0];
+  const handlerOptions = {
+    typescript,
+    name: manifest.name || packageJson.name || "Notification",
+    icon: icon && icon.src,
+  };
+
+  const worker = getPushWorker({ backend, structure, typescript });
+  if (worker.exists) {
+    const content = patchPushWorker(
+      writer.readFile(worker.file, "utf8"),
+      handlerOptions
+    );
+    if (content) {
+      writer.writeFile(worker.file, content);
+      console.log(
+        chalk.green(`✓ ${describeWrite(writer, true)} ${worker.file}`)
+      );
+    } else {
+      console.log(
+        chalk.yellow(
+          `${worker.file} already handles push events, leaving it unchanged`
+        )
+      );
+    }
+  } else if (backend.name === "serwist") {
+    throw new Error(
+      `${worker.file} not found. Run simple-pwa with --backend serwist first.`
+    );
+  } else {
+    writer.writeFile(
+      worker.file,
+      createPushHandlersSource({ ...handlerOptions, standalone: true })
+    );
+    console.log(
+      chalk.green(`✓ ${describeWrite(writer, false)} ${worker.file}`)
+    );
+  }
+
+  const helper = {
+    file: path.join(
+      getComponentsDir(structure),
+      `subscribeToPush${typescript ? ".ts" : ".js"}`
+    ),
+  };
+  const route = getSubscribeRoute(structure, typescript);
+  const files = [
+    {
+      file: helper.file,
+      existing: findComponent(helper),
+      content: () => createSubscribeHelperSource({ typescript }),
+    },
+    {
+      file: route.file,
+      existing: findSubscribeRoute(route),
+      content: () =>
+        createSubscribeRouteSource({ router: route.router, typescript }),
+    },
+    {
+      file: SEND_SCRIPT,
+      existing: writer.exists(SEND_SCRIPT) && SEND_SCRIPT,
+      content: createSendScriptSource,
+    },
+  ];
+  for (const { file, existing, content } of files) {
+    if (existing) {
+      console.log(
+        chalk.yellow(`${existing} already exists, leaving it unchanged`)
+      );
+      continue;
+    }
+    writer.writeFile(file, content());
+    console.log(chalk.green(`✓ ${describeWrite(writer, false)} ${file}`));
+  }
+
+  // Read after the install, which also changes package.json
+  const currentPackageJson = writer.exists("package.json")
+    ? JSON.parse(writer.readFile("package.json", "utf8"))
+    : packageJson;
+  if (!currentPackageJson.scripts?.[SEND_SCRIPT_NAME]) {
+    currentPackageJson.scripts = {
+      ...currentPackageJson.scripts,
+      [SEND_SCRIPT_NAME]: `node ${SEND_SCRIPT}`,
+    };
+    writer.writeFile(
+      "package.json",
+      `${JSON.stringify(currentPackageJson, null, 2)}\n`
+    );
+    console.log(
+      chalk.green(
+        `✓ ${describeWrite(
+          writer,
+          true
+        )} package.json (${SEND_SCRIPT_NAME} script)`
+      )
+    );
+  }
+
+  if (writer.dryRun) {
+    printPlan(writer);
+    return;
+  }
+  journal.complete();
+
+  console.log(chalk.green("\nWeb Push is set up! 🔔"));
+  console.log(
+    chalk.gray("Run `simple-pwa undo` to revert the changes made by this run.")
+  );
+  console.log(chalk.yellow("\nTo try it:"));
+  console.log(
+    `1. Call subscribeToPush() from a button's click handler (${helper.file})`
+  );
+  console.log(
+    `2. Build and start the app: ${runScript(
+      packageManager,
+      "build"
+    )} && ${runScript(packageManager, "start")}`
+  );
+  console.log("3. Open the app, click the button and allow notifications");
+  console.log(
+    `4. Send a notification: ${runScript(
+      packageManager,
+      SEND_SCRIPT_NAME
+    )} "Hello" "It works"`
+  );
+  console.log(
+    chalk.gray(
+      `\nSubscriptions are kept in memory by ${route.file}, store them in a database for production.`
+    )
+  );
+}
+
+// `simple-pwa remove`: uninstalls the service worker packages, unwraps
+// next.config, strips the metadata from the layouts and deletes the
+// manifest, generated assets, service worker files and PWA_SETUP.md, after
+// listing all of it for confirmation. --keep-assets keeps the assets.
+async function remove({ ask, values, yes, writer, journal, packageJson }) {
+  const structure = detectStructure();
+  const packages = getInstalledPwaPackages(packageJson);
+  const assetsDir = findAssetsDir(
+    structure,
+    values.assets && normalizeAssetsPath(values.assets)
+  );
+  const assets = getGeneratedAssets(assetsDir, writer);
+  const warnings = [];
+
+  let nextConfig = null;
+  const nextConfigFile = findNextConfig();
+  if (nextConfigFile) {
+    try {
+      const result = unwrapNextConfig(writer.readFile(nextConfigFile, "utf8"), {
+        file: nextConfigFile,
+      });
+      if (result.status === "unwrapped") {
+        nextConfig = { file: nextConfigFile, content: result.content };
+      }
+    } catch (error) {
+      warnings.push(
+        `${error.message}. Remove the PWA plugin from ${nextConfigFile} manually.`
+      );
+    }
+  }
+
+  const metadata = [];
+  if (structure) {
+    const results = removePwaMetadata({
+      structure,
+      assets,
+      assetUrl: getAssetUrl(assetsDir),
+    });
+    for (const result of results) {
+      if (result.error) {
+        warnings.push(
+          `Couldn't remove the PWA metadata from ${result.file}: ${result.error.message}`
+        );
+      } else if (result.status !== "none") {
+        metadata.push(result);
+      }
+    }
+  }
+
+  const { files, leftInPlace } = findPwaFiles({
+    structure,
+    packages,
+    assetsDir,
+    assets,
+    keepAssets: Boolean(values.keepAssets),
+    writer,
+  });
+  const assetPaths = assets.map((asset) =>
+    path.posix.join(assetsDir, asset.name)
+  );
+  const assetFiles = files.filter((file) => assetPaths.includes(file));
+  const assetCount = `${assetFiles.length} generated ${
+    assetFiles.length === 1 ? "asset" : "assets"
+  }`;
+  const otherFiles = files.filter((file) => !assetFiles.includes(file));
+
+  warnings.forEach((warning) => console.log(chalk.yellow(`⚠ ${warning}`)));
+  if (
+    packages.length === 0 &&
+    !nextConfig &&
+    metadata.length === 0 &&
+    files.length === 0
+  ) {
+    console.log(chalk.yellow("No PWA setup found, nothing to remove."));
+    return;
+  }
+
+  console.log(chalk.blue("\nThis will remove:"));
+  if (packages.length > 0) {
+    console.log(`  - Uninstall ${packages.join(", ")}`);
+  }
+  if (nextConfig) {
+    console.log(`  - Unwrap the PWA plugin in ${nextConfig.file}`);
+  }
+  for (const { file, status } of metadata) {
+    console.log(
+      status === "delete"
+        ? `  - Delete ${file}, which only had the PWA tags`
+        : `  - Remove the PWA metadata from ${file}`
+    );
+  }
+  if (assetFiles.length > 0) {
+    console.log(`  - Delete ${assetCount} in ${assetsDir}`);
+  }
+  otherFiles.forEach((file) => console.log(`  - Delete ${file}`));
+  if (values.keepAssets) {
+    console.log(chalk.gray(`  Keeping the assets in ${assetsDir}`));
+  }
+  if (leftInPlace.length > 0) {
+    console.log(
+      chalk.gray(
+        `  Leaving ${leftInPlace.join(
+          ", "
+        )} in place, no PWA backend installed or set up here wrote them`
+      )
+    );
+  }
+  const confirmed =
+    yes ||
+    writer.dryRun ||
+    (await ask({
+      type: "toggle",
+      name: "confirmRemove",
+      flag: "yes",
+      message: "Remove the PWA setup?",
+      initial: false,
+      active: "yes",
+      inactive: "no",
+    }));
+  if (!confirmed) {
+    console.log(chalk.yellow("Nothing was removed."));
+    return;
+  }
+
+  let packageManager = null;
+  if (packages.length > 0) {
+    packageManager = await choosePackageManager(ask, values.packageManager);
+    console.log(chalk.blue(`Uninstalling ${packages.join(", ")}...`));
+    const lockfile = findLockfile();
+    writer.track([...INSTALL_FILES, ...(lockfile ? [lockfile.file] : [])]);
+    writer.exec(getUninstallCommand(packageManager, packages), {
+      stdio: "inherit",
+    });
+    console.log("");
+  }
+
+  const done = (past, verb) => (writer.dryRun ? `Would ${verb}` : past);
+  if (nextConfig) {
+    writer.writeFile(nextConfig.file, nextConfig.content);
+    console.log(
+      chalk.green(
+        `✓ ${done("Unwrapped", "unwrap")} the PWA plugin in ${nextConfig.file}`
+      )
+    );
+  }
+  for (const { file, status, content } of metadata) {
+    if (status === "delete") {
+      writer.removeFile(file);
+      console.log(chalk.green(`✓ ${done("Deleted", "delete")} ${file}`));
+    } else {
+      writer.writeFile(file, content);
+      console.log(
+        chalk.green(
+          `✓ ${done("Removed", "remove")} the PWA metadata from ${file}`
+        )
+      );
+    }
+  }
+  files.forEach((file) => writer.removeFile(file));
+  // public/ itself stays, even with --assets public
+  if (assetFiles.length > 0 && path.posix.relative("public", assetsDir)) {
+    writer.removeDir(assetsDir);
+  }
+  if (assetFiles.length > 0) {
+    console.log(
+      chalk.green(
+        `✓ ${done("Deleted", "delete")} ${assetCount} in ${assetsDir}`
+      )
+    );
+  }
+  otherFiles.forEach((file) =>
+    console.log(chalk.green(`✓ ${done("Deleted", "delete")} ${file}`))
+  );
+
+  if (writer.dryRun) {
+    printPlan(writer);
+    return;
+  }
+  journal.complete();
+
+  console.log(chalk.green("\nThe PWA setup was removed."));
+  console.log(chalk.gray("Run `simple-pwa undo` to bring it back as it was."));
+  console.log(
+    chalk.gray(
+      "Pages and components the setup added, such as the offline page and install button, were left in place."
+    )
+  );
+}
+
 async function main() {
+  let journal = null;
+
   try {
-    console.log(chalk.blue("Welcome to Next.js PWA Setup CLI!"));
+    const options = parseCliOptions(process.argv.slice(2));
+
+    if (options.help) {
+      console.log(usage);
+      return;
+    }
+
+    if (options.version) {
+      console.log(version);
+      return;
+    }
+
+    const { values } = options;
+    const ask = createAsker({ values, yes: options.yes });
+
+    resolveInputPaths(values);
+    await enterNextApp(ask);
+
+    if (options.command === "undo") {
+      undo();
+      return;
+    }
+
+    if (options.command === "doctor") {
+      if (!(await doctor())) process.exit(1);
+      return;
+    }
+
+    if (options.command && !["push", "remove"].includes(options.command)) {
+      throw new Error(
+        `Unknown command "${options.command}". Run simple-pwa --help for usage.`
+      );
+    }
+
+    console.log(
+      chalk.blue(
+        {
+          push: "Adding Web Push notifications...",
+          remove: "Removing the PWA setup...",
+        }[options.command] || "Welcome to Next.js PWA Setup CLI!"
+      )
+    );
+    if (options.configFile) {
+      console.log(chalk.blue(`Using config from ${options.configFile}`));
+    }
+
+    const dryRun = Boolean(values.dryRun);
+    if (dryRun) {
+      console.log(
+        chalk.yellow("Dry run: no files will be written and no commands run.")
+      );
+    } else {
+      // Roll back if the run ends early, including a cancelled prompt
+      journal = createJournal({ command: options.command || "setup" });
+      process.once("exit", () => {
+        if (journal.status === "active") journal.rollback();
+      });
+    }
+    const writer = createWriter({ dryRun, journal });
 
     // Check if it's a Next.js project
     if (!fs.existsSync("package.json")) {
@@ -225,110 +1082,212 @@ async function main() {
       throw new Error("This doesn't appear to be a Next.js project.");
     }
 
-    // Project structure check
-    const structureResponse = await prompts({
-      type: "select",
-      name: "structure",
-      message: "Which project structure are you using?",
-      choices: [
-        { title: "Standard app directory", value: "standard" },
-        { title: "src directory with app router", value: "src" },
-      ],
-      onState: (state) => {
-        if (state.aborted) {
-          process.nextTick(() => {
-            process.exit(0);
-          });
-        }
-      },
-    });
+    if (options.command === "push") {
+      await push({ ask, values, writer, journal, packageJson });
+      return;
+    }
 
-    // Assets location check
-    const assetsResponse = await prompts({
-      type: "select",
-      name: "assetsLocation",
-      message: "Where would you like to store PWA assets?",
-      choices: [
-        { title: "public/assets", value: "public/assets" },
-        { title: "public/images", value: "public/images" },
-        { title: "Custom location", value: "custom" },
-      ],
-      onState: (state) => {
-        if (state.aborted) {
-          process.nextTick(() => {
-            process.exit(0);
-          });
-        }
-      },
-    });
+    if (options.command === "remove") {
+      await remove({
+        ask,
+        values,
+        yes: options.yes,
+        writer,
+        journal,
+        packageJson,
+      });
+      return;
+    }
 
-    if (!assetsResponse.assetsLocation) {
-      throw new Error("Assets location not selected.");
+    // Project structure, asked for only when there's no app/ or pages/ to
+    // detect or --structure picks the directory
+    let structure = values.structure ? null : detectStructure();
+    if (structure) {
+      console.log(chalk.blue(`Detected ${describeStructure(structure)}`));
+    } else {
+      const baseDir = await ask({
+        type: "select",
+        name: "structure",
+        message: "Which project structure are you using?",
+        choices: [
+          { title: "app/ or pages/ in the project root", value: "standard" },
+          { title: "src/app or src/pages", value: "src" },
+        ],
+        initial: 0,
+      });
+      structure = getStructure(baseDir === "src" ? "src" : ".");
     }
 
-    let assetsPath = assetsResponse.assetsLocation;
-    if (assetsResponse.assetsLocation === "custom") {
-      const customPath = await prompts({
-        type: "text",
-        name: "path",
-        message: "Enter the custom assets path (relative to public directory):",
-        initial: "pwa-assets",
-        onState: (state) => {
-          if (state.aborted) {
-            process.nextTick(() => {
-              process.exit(0);
-            });
-          }
-        },
+    // Assets location check, a --assets value may be any path under public/
+    let assetsPath = values.assets && normalizeAssetsPath(values.assets);
+    if (!assetsPath) {
+      const assetsLocation = await ask({
+        type: "select",
+        name: "assets",
+        message: "Where would you like to store PWA assets?",
+        choices: [
+          { title: "public/assets", value: "public/assets" },
+          { title: "public/images", value: "public/images" },
+          { title: "Custom location", value: "custom" },
+        ],
+        initial: 0,
       });
-      assetsPath = `public/${customPath.path}`;
+
+      if (!assetsLocation) {
+        throw new Error("Assets location not selected.");
+      }
+
+      assetsPath = assetsLocation;
+      if (assetsLocation === "custom") {
+        const customPath = await ask({
+          type: "text",
+          name: "customAssets",
+          message:
+            "Enter the custom assets path (relative to public directory):",
+          initial: "pwa-assets",
+        });
+        assetsPath = `public/${customPath}`;
+      }
     }
 
+    const assetUrl = getAssetUrl(assetsPath);
+
+    // Get manifest information
+    const manifestInfo = {
+      ...(await getManifestInfo(ask)),
+      ...(await getDarkModeColors(ask, values)),
+    };
+    const locales = await getLocales(ask, values, manifestInfo);
+    const manifestDetails = await getManifestDetails(ask, values);
+    let assets = getAssetRegistry(manifestDetails);
+
     // Ask about asset generation preference
-    const generateNowResponse = await prompts({
-      type: "select",
-      name: "generateNow",
-      message: "Would you like to generate PWA assets now?",
-      choices: [
-        {
-          title: "Yes, I have a logo ready to use",
-          value: "yes",
-          description: "Generate all required PWA assets from your logo",
-        },
-        {
-          title: "No, I'll generate assets later",
-          value: "no",
-          description: "You can use our web tool for generating it",
-        },
-      ],
-    });
+    let generateNow;
+    if (values.logo) {
+      generateNow = "yes";
+    } else if (values.skipAssets || options.yes) {
+      generateNow = "no";
+    } else {
+      generateNow = await ask({
+        type: "select",
+        name: "generateNow",
+        flag: "logo",
+        message: "Would you like to generate PWA assets now?",
+        choices: [
+          {
+            title: "Yes, I have a logo ready to use",
+            value: "yes",
+            description: "Generate all required PWA assets from your logo",
+          },
+          {
+            title: "No, I'll generate assets later",
+            value: "no",
+            description: "You can use our web tool for generating it",
+          },
+        ],
+      });
+    }
 
-    let success = false;
-    if (generateNowResponse.generateNow === "yes") {
-      console.log(chalk.blue("\nLogo path hints:"));
-      console.log("- For logo in current directory: ./logo.png");
-      console.log("- For logo in public folder: ./public/logo.png");
-      console.log("- For logo in other folder: ../path/to/logo.png");
+    if (generateNow === "yes") {
+      if (!values.logo) {
+        console.log(chalk.blue("\nLogo path hints:"));
+        console.log("- For logo in current directory: ./logo.png");
+        console.log("- For logo in public folder: ./public/logo.png");
+        console.log("- For logo in other folder: ../path/to/logo.png");
+      }
 
-      const logoResponse = await prompts({
+      const logoPath = await ask({
         type: "text",
-        name: "path",
-        message: "Enter the path to your logo (at least 512x512px):",
+        name: "logo",
+        message: "Enter the path to your logo (SVG, or at least 512x512px):",
         validate: (value) =>
           fs.existsSync(value)
             ? true
             : "File does not exist. Please enter a valid path",
       });
 
-      if (!logoResponse.path) {
+      if (!logoPath) {
         throw new Error("Logo path is required for asset generation");
       }
 
+      // Dark splash screens and favicon.svg, for dark mode setups
+      const darkLogo = manifestInfo.darkThemeColor
+        ? await ask({
+            type: "text",
+            name: "darkLogo",
+            message:
+              "Enter the path to a dark mode logo (leave empty to use the same logo):",
+            initial: "",
+            optional: true,
+            validate: (value) =>
+              !value || fs.existsSync(value)
+                ? true
+                : "File does not exist. Please enter a valid path",
+          })
+        : null;
+      const output = getOutputOptions(values);
+      assets = getAssetRegistry({
+        ...manifestDetails,
+        darkLogo,
+        darkBackgroundColor: manifestInfo.darkBackgroundColor,
+        output,
+      });
+
       // Generate assets
-      success = await generateAssets(logoResponse.path, assetsPath);
-      if (!success) {
-        throw new Error("Failed to generate assets");
-      }
+      await generateLogoAssets({
+        logo: logoPath,
+        darkLogo,
+        outputDir: assetsPath,
+        name: manifestInfo.name,
+        description: manifestInfo.description,
+        themeColor: manifestInfo.themeColor,
+        backgroundColor: manifestInfo.backgroundColor,
+        darkBackgroundColor: manifestInfo.darkBackgroundColor,
+        assets,
+        assetUrl,
+        writer,
+        maskableBackground: readOption(values, "maskableBackground", {
+          validate: validateHexColor,
+          initial: manifestInfo.backgroundColor,
+        }),
+        maskablePadding: readOption(values, "maskablePadding", {
+          parse: Number,
+          validate: (value) =>
+            value >= 0 && value < 0.5
+              ? true
+              : "Please enter a ratio between 0 and 0.5 (e.g., 0.22)",
+          initial: DEFAULT_MASKABLE_PADDING,
+        }),
+        splashLogoRatio: readOption(values, "splashLogoRatio", {
+          parse: Number,
+          validate: (value) =>
+            value > 0 && value <= 1
+              ? true
+              : "Please enter a ratio between 0 and 1 (e.g., 0.25)",
+          initial: DEFAULT_SPLASH_LOGO_RATIO,
+        }),
+        socialTemplate: await ask({
+          type: "select",
+          name: "socialTemplate",
+          message: "Which template should social media images use?",
+          choices: SOCIAL_TEMPLATES.map((template) => ({
+            title: template,
+            value: template,
+          })),
+          initial: 0,
+        }),
+        force: Boolean(values.force),
+        concurrency: readOption(values, "concurrency", {
+          parse: Number,
+          validate: (value) =>
+            Number.isInteger(value) && value > 0
+              ? true
+              : "Please enter a whole number of at least 1",
+        }),
+        maskablePreview: Boolean(values.maskablePreview),
+        output,
+        budget: values.budget,
+      });
     } else {
       console.log(
         chalk.yellow("\nℹ️  You can generate PWA assets using our web tool:")
@@ -338,341 +1297,450 @@ async function main() {
         chalk.yellow(`\nOnce generated, place the assets in: ${assetsPath}`)
       );
 
-      // Create the assets directory even if not generating now
-      fs.mkdirSync(assetsPath, { recursive: true });
+      // Screenshots and shortcuts with their own icon don't need the logo,
+      // the rest comes from the web tool
+      assets = await addAssetsWithoutLogo({
+        outputDir: assetsPath,
+        themeColor: manifestInfo.themeColor,
+        assets,
+        assetUrl,
+        writer,
+        onAsset: ({ name }) => console.log(chalk.green(`✓ Added ${name}`)),
+      });
     }
 
-    // Get manifest information
-    const manifestInfo = await getManifestInfo();
+    // Service worker backend
+    const backend = getBackend(
+      await ask({
+        type: "select",
+        name: "backend",
+        message: "Which service worker setup would you like?",
+        choices: BACKENDS.map(({ name, title, description }) => ({
+          title,
+          value: name,
+          description,
+        })),
+        initial: 0,
+      })
+    );
+    const typescript = fs.existsSync("tsconfig.json");
 
-    // Install next-pwa
-    const packageManager = await detectPackageManager();
+    // Offline fallback page and runtime caching, for setups with a service
+    // worker
+    let offlinePage = null;
+    let caching = null;
+    if (backend.serviceWorker !== false) {
+      const wantsOffline =
+        !values.skipOffline &&
+        (await ask({
+          type: "toggle",
+          name: "offline",
+          message: "Add an offline page shown when a page can't be loaded?",
+          initial: true,
+          active: "yes",
+          inactive: "no",
+          optional: true,
+        }));
+      if (wantsOffline) offlinePage = getOfflinePage(structure, typescript);
+
+      const presets = parseList(
+        await ask({
+          type: "multiselect",
+          name: "caching",
+          message:
+            "Which runtime caching presets should the service worker use? (none keeps the backend's defaults)",
+          choices: CACHING_PRESETS.map(({ name, title, description }) => ({
+            title,
+            value: name,
+            description,
+          })),
+          initial: [],
+          optional: true,
+        })
+      );
+      const routes = getCachingRoutes(presets, [
+        ...[].concat(values.cacheRoutes || []),
+        ...[].concat(values.cacheRoute || []),
+      ]);
+      if (routes.length > 0) caching = routes;
+    }
+    const offline = offlinePage ? OFFLINE_URL : null;
+
+    // Install button and update toast, with updates that wait for the user
+    const wantsComponents = await ask({
+      type: "toggle",
+      name: "components",
+      message: "Add install button and update notification components?",
+      initial: false,
+      active: "yes",
+      inactive: "no",
+      optional: true,
+    });
+    const components = wantsComponents
+      ? getComponents({
+          structure,
+          typescript,
+          serviceWorker: backend.serviceWorker !== false,
+          name: manifestInfo.name,
+          themeColor: manifestInfo.themeColor,
+          backgroundColor: manifestInfo.backgroundColor,
+        })
+      : [];
+    const confirmUpdates = components.some(
+      (component) => component.name === "UpdateToast"
+    );
+
+    const packageManager = await choosePackageManager(
+      ask,
+      values.packageManager
+    );
     console.log(chalk.blue(`\nDetected package manager: ${packageManager}`));
 
-    console.log(chalk.blue("\nInstalling next-pwa..."));
-    const installCommand = {
-      npm: "npm install",
-      yarn: "yarn add",
-      pnpm: "pnpm add",
-    }[packageManager];
-
-    execSync(`${installCommand} next-pwa`, { stdio: "inherit" });
-
-    // Create manifest.json
-    console.log(chalk.blue("\nCreating manifest.json..."));
-    const manifestContent = {
-      name: manifestInfo.name,
-      short_name: manifestInfo.shortName,
-      description: manifestInfo.description,
-      theme_color: manifestInfo.themeColor,
-      background_color: manifestInfo.backgroundColor,
-      display: "standalone",
-      orientation: "portrait",
-      scope: "/",
-      start_url: "/?source=pwa",
-      icons: [
-        {
-          src: `/${path.relative("public", assetsPath)}/favicon-16x16.ico`,
-          sizes: "16x16",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative("public", assetsPath)}/favicon-32x32.ico`,
-          sizes: "32x32",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative("public", assetsPath)}/favicon-32x32.png`,
-          sizes: "32x32",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative("public", assetsPath)}/favicon-16x16.png`,
-          sizes: "16x16",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative("public", assetsPath)}/icon-48x48.png`,
-          sizes: "48x48",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative("public", assetsPath)}/icon-72x72.png`,
-          sizes: "72x72",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative("public", assetsPath)}/icon-96x96.png`,
-          sizes: "96x96",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative("public", assetsPath)}/icon-128x128.png`,
-          sizes: "128x128",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative("public", assetsPath)}/icon-144x144.png`,
-          sizes: "144x144",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative("public", assetsPath)}/icon-152x152.png`,
-          sizes: "152x152",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative("public", assetsPath)}/icon-192x192.png`,
-          sizes: "192x192",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative("public", assetsPath)}/icon-384x384.png`,
-          sizes: "384x384",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative("public", assetsPath)}/icon-512x512.png`,
-          sizes: "512x512",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/apple-touch-icon-57x57.png`,
-          sizes: "57x57",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/apple-touch-icon-60x60.png`,
-          sizes: "60x60",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/apple-touch-icon-72x72.png`,
-          sizes: "72x72",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/apple-touch-icon-76x76.png`,
-          sizes: "76x76",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/apple-touch-icon-114x114.png`,
-          sizes: "114x114",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/apple-touch-icon-120x120.png`,
-          sizes: "120x120",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/apple-touch-icon-144x144.png`,
-          sizes: "144x144",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/apple-touch-icon-152x152.png`,
-          sizes: "152x152",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/apple-touch-icon-180x180.png`,
-          sizes: "180x180",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/maskable_icon-192x192.png`,
-          sizes: "192x192",
-          type: "image/png",
-          purpose: "any maskable",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/maskable_icon-512x512.png`,
-          sizes: "512x512",
-          type: "image/png",
-          purpose: "any maskable",
-        },
-        {
-          src: `/${path.relative("public", assetsPath)}/og-image.png`,
-          sizes: "1200x630",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative("public", assetsPath)}/twitter-card.png`,
-          sizes: "1200x600",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/iPhone-X-XR-11-Pro-1125x2436.png`,
-          sizes: "1125x2436",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/iPhone-XR-11-828x1792.png`,
-          sizes: "828x1792",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/iPhone-XS-Max-11-Pro-Max-1242x2688.png`,
-          sizes: "1242x2688",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/iPhone-6-6S-7-8-SE-750x1334.png`,
-          sizes: "750x1334",
-          type: "image/png",
-          purpose: "any",
-        },
-        // iPad Splash Screens
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/iPad-Mini-Air-Pro-9.7-inch-1536x2048.png`,
-          sizes: "1536x2048",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/iPad-Pro-11-inch-1668x2388.png`,
-          sizes: "1668x2388",
-          type: "image/png",
-          purpose: "any",
-        },
-        {
-          src: `/${path.relative(
-            "public",
-            assetsPath
-          )}/iPad-Pro-12.9-inch-2048x2732.png`,
-          sizes: "2048x2732",
-          type: "image/png",
-          purpose: "any",
-        },
-      ],
+    const installs = [
+      { packages: backend.packages, dev: false },
+      { packages: backend.devPackages, dev: true },
+    ].filter(({ packages }) => packages.length > 0);
+    if (installs.length > 0) {
+      console.log(
+        chalk.blue(
+          `\nInstalling ${[...backend.packages, ...backend.devPackages].join(
+            ", "
+          )}...`
+        )
+      );
+
+      // Workspace packages share the lockfile at the repository root
+      const lockfile = findLockfile();
+      writer.track([...INSTALL_FILES, ...(lockfile ? [lockfile.file] : [])]);
+      for (const { packages, dev } of installs) {
+        writer.exec(getInstallCommand(packageManager, packages, { dev }), {
+          stdio: "inherit",
+        });
+      }
+    } else {
+      console.log(
+        chalk.blue("\nManifest-only setup, no service worker to install")
+      );
+    }
+
+    // Static public/manifest.json, or an app/manifest metadata route when
+    // there's an App Router
+    if (values.manifest === "route" && !structure.appDir) {
+      throw new Error("--manifest route needs an App Router app directory");
+    }
+    const existingRoute = findManifestRoute(structure.appDir);
+    const routeFile =
+      existingRoute ||
+      (structure.appDir && getManifestRouteFile(structure.appDir, typescript));
+    const manifestType = structure.appDir
+      ? await ask({
+          type: "select",
+          name: "manifest",
+          message: "How should the web app manifest be served?",
+          choices: [
+            {
+              title: MANIFEST_FILE,
+              value: "json",
+              description: "Static file",
+            },
+            {
+              title: routeFile,
+              value: "route",
+              description: "Typed Next.js metadata route",
+            },
+          ],
+          initial: 0,
+        })
+      : "json";
+
+    // A manifest per locale, or one with the other locales' names in its
+    // `translations` member. A manifest route serves a single manifest.
+    const localeManifests =
+      locales &&
+      (manifestType === "route" && !values.localeManifests
+        ? "translations"
+        : await ask({
+            type: "select",
+            name: "localeManifests",
+            message: "How should the manifest be localized?",
+            choices: [
+              {
+                title: "A manifest per locale",
+                value: "files",
+                description: getLocaleManifestFile("<locale>"),
+              },
+              {
+                title: "One manifest with translations",
+                value: "translations",
+                description: "The manifest's translations member",
+              },
+            ],
+            initial: 0,
+          }));
+    if (localeManifests === "files" && manifestType === "route") {
+      throw new Error(
+        "--locale-manifests files needs --manifest json, a manifest route serves a single manifest"
+      );
+    }
+    const buildLocaleManifest = (locale, extraDetails) => {
+      const localized = locale
+        ? getLocaleManifestOptions(locale, manifestInfo, manifestDetails)
+        : { manifestInfo, details: manifestDetails };
+      return buildManifest(localized.manifestInfo, {
+        assets,
+        assetUrl,
+        details: { ...localized.details, ...extraDetails },
+      });
     };
 
-    fs.writeFileSync(
-      "public/manifest.json",
-      JSON.stringify(manifestContent, null, 2)
+    const manifest = buildLocaleManifest(
+      locales &&
+        locales.locales.find(({ locale }) => locale === locales.defaultLocale),
+      localeManifests === "translations"
+        ? {
+            translations: getManifestTranslations(
+              locales.locales,
+              locales.defaultLocale
+            ),
+          }
+        : {}
     );
+    const manifestFile = manifestType === "route" ? routeFile : MANIFEST_FILE;
+    console.log(chalk.blue(`\nCreating ${manifestFile}...`));
+    if (manifestType === "route") {
+      writer.writeFile(
+        routeFile,
+        createManifestRouteSource(manifest, {
+          typescript: /\.tsx?$/.test(routeFile),
+        })
+      );
+      if (writer.exists(MANIFEST_FILE)) {
+        console.log(
+          chalk.yellow(
+            `⚠️  ${MANIFEST_FILE} also exists. Next.js links ${routeFile} automatically, delete ${MANIFEST_FILE} so it isn't served as a second manifest.`
+          )
+        );
+      }
+    } else {
+      writer.writeFile(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+      if (existingRoute) {
+        console.log(
+          chalk.yellow(
+            `⚠️  ${existingRoute} also exists and Next.js links it automatically, so it conflicts with ${MANIFEST_FILE}. Delete one of them.`
+          )
+        );
+      }
+    }
+    if (localeManifests === "files") {
+      for (const locale of locales.locales) {
+        const file = getLocaleManifestFile(locale.locale);
+        console.log(chalk.blue(`Creating ${file}...`));
+        writer.writeFile(
+          file,
+          JSON.stringify(buildLocaleManifest(locale), null, 2)
+        );
+      }
+    }
 
     // Update or create next.config.js
     console.log(chalk.blue("\nUpdating Next.js configuration..."));
-    const pwaConfigContent = `const withPWA = require('next-pwa')({
-        dest: 'public',
-        register: true,
-        skipWaiting: true,
-      })
-      
-      module.exports = withPWA({
-        reactStrictMode: true,
-      })`;
-
-    // Check for existing config files
-    const hasJsConfig = fs.existsSync("next.config.js");
-    const hasTsConfig = fs.existsSync("next.config.ts");
-    const hasMjsConfig = fs.existsSync("next.config.mjs");
-
-    // Determine which file to update or create
-    let updatedConfigFile = "next.config.js";
-    if (hasTsConfig) {
-      updatedConfigFile = "next.config.ts";
-      fs.writeFileSync("next.config.ts", pwaConfigContent);
-    } else if (hasMjsConfig) {
-      updatedConfigFile = "next.config.mjs";
-      fs.writeFileSync("next.config.mjs", pwaConfigContent);
+    const config = await configureNextConfig({
+      backend: backend.name,
+      structure,
+      typescript,
+      offline,
+      caching,
+      confirmUpdates,
+      writer,
+    });
+    if (config.status === "skipped") {
+      console.log(
+        chalk.yellow(`Manifest-only setup, leaving ${config.file} alone`)
+      );
+    } else if (config.status === "already") {
+      console.log(
+        chalk.yellow(
+          `${config.file} already configures a PWA plugin, leaving it unchanged`
+        )
+      );
+    } else if (config.status === "manual") {
+      console.log(
+        chalk.yellow(
+          `\n⚠️  Could not update ${config.file} automatically: ${config.error.message}`
+        )
+      );
+      console.log("Add the PWA plugin to it manually:\n");
+      console.log(config.snippet);
     } else {
-      fs.writeFileSync("next.config.js", pwaConfigContent);
+      console.log(
+        chalk.green(
+          `✓ ${describeWrite(writer, config.status === "patched")} ${
+            config.file
+          }`
+        )
+      );
+    }
+
+    // Service worker source and ignore entries for the generated files
+    const serviceWorker =
+      backend.getServiceWorker &&
+      backend.getServiceWorker({
+        structure,
+        typescript,
+        offline,
+        caching,
+        confirmUpdates,
+      });
+    const keptServiceWorker = Boolean(
+      serviceWorker && writer.exists(serviceWorker.file)
+    );
+    if (serviceWorker) {
+      if (keptServiceWorker) {
+        console.log(
+          chalk.yellow(
+            `${serviceWorker.file} already exists, leaving it unchanged`
+          )
+        );
+      } else {
+        writer.writeFile(serviceWorker.file, serviceWorker.content);
+        console.log(
+          chalk.green(`✓ ${describeWrite(writer, false)} ${serviceWorker.file}`)
+        );
+      }
+    }
+
+    if (offlinePage) {
+      const existing = findOfflinePage(offlinePage);
+      if (existing) {
+        offlinePage.file = existing;
+        console.log(
+          chalk.yellow(
+            `${existing} already exists, using it as the offline page`
+          )
+        );
+      } else {
+        writer.writeFile(
+          offlinePage.file,
+          createOfflinePageSource({
+            router: offlinePage.router,
+            typescript,
+            name: manifestInfo.name,
+            themeColor: manifestInfo.themeColor,
+            backgroundColor: manifestInfo.backgroundColor,
+          })
+        );
+        console.log(
+          chalk.green(`✓ ${describeWrite(writer, false)} ${offlinePage.file}`)
+        );
+      }
+    }
+
+    for (const component of components) {
+      const existing = findComponent(component);
+      if (existing) {
+        component.file = existing;
+        console.log(
+          chalk.yellow(`${existing} already exists, leaving it unchanged`)
+        );
+      } else {
+        writer.writeFile(component.file, component.content);
+        console.log(
+          chalk.green(`✓ ${describeWrite(writer, false)} ${component.file}`)
+        );
+      }
+    }
+    // A setup that was already there may still activate updates right
+    // away, then there's never a waiting worker to show the toast for
+    const skipWaitingFile = serviceWorker
+      ? keptServiceWorker && serviceWorker.file
+      : config.status === "already" && config.file;
+    if (
+      confirmUpdates &&
+      skipWaitingFile &&
+      !/skipWaiting:\s*false/.test(writer.readFile(skipWaitingFile, "utf8"))
+    ) {
+      console.log(
+        chalk.yellow(
+          `UpdateToast needs updates to wait for the user, make sure ${skipWaitingFile} sets skipWaiting: false`
+        )
+      );
+    }
+
+    if (backend.ignore.length > 0) {
+      const existed = writer.exists(".gitignore");
+      const source = existed ? writer.readFile(".gitignore", "utf8") : "";
+      const content = patchGitignore(source, backend.ignore);
+      if (content !== source) {
+        writer.writeFile(".gitignore", content);
+        console.log(
+          chalk.green(`✓ ${describeWrite(writer, existed)} .gitignore`)
+        );
+      }
+    }
+
+    // Add PWA metadata to the root layout or pages/_document
+    console.log(chalk.blue("\nAdding PWA metadata to your app..."));
+    const metadataFiles = [];
+    try {
+      const results = injectPwaMetadata({
+        structure,
+        assets,
+        assetUrl,
+        manifestInfo,
+        manifestType,
+        localeManifests: localeManifests === "files",
+      });
+      for (const result of results) {
+        if (result.error) {
+          console.log(
+            chalk.yellow(
+              `\n⚠️  Could not add PWA metadata to ${result.file}: ${result.error.message}`
+            )
+          );
+          console.log("See PWA_SETUP.md for the metadata to add manually.");
+          continue;
+        }
+        if (result.status === "already") {
+          console.log(
+            chalk.yellow(`${result.file} already has the PWA metadata`)
+          );
+        } else {
+          const existed = fs.existsSync(result.file);
+          writer.writeFile(result.file, result.content);
+          console.log(
+            chalk.green(`✓ ${describeWrite(writer, existed)} ${result.file}`)
+          );
+        }
+        if (result.warning) {
+          console.log(chalk.yellow(`⚠️  ${result.warning}`));
+        }
+        metadataFiles.push(result.file);
+      }
+    } catch (error) {
+      console.log(
+        chalk.yellow(
+          `\n⚠️  Could not add PWA metadata automatically: ${error.message}`
+        )
+      );
+      console.log("See PWA_SETUP.md for the metadata to add manually.");
     }
 
     // Create README with instructions
     console.log(chalk.blue("\nCreating PWA_SETUP.md with instructions..."));
+    const componentsUsage =
+      components.length > 0 ? getComponentsUsage(structure, components) : null;
 
     // Determine metadata file path based on project structure
-    const isSrcStructure = structureResponse.structure === "src";
-    const metadataPath = isSrcStructure
-      ? "src/app/layout.tsx"
-      : "app/layout.tsx";
+    const metadataPath = path.join(
+      structure.baseDir,
+      structure.pagesDir && !structure.appDir
+        ? "pages/_document.tsx"
+        : "app/layout.tsx"
+    );
 
     // Update README content based on generation choice
     const assetInstructions =
-      generateNowResponse.generateNow === "yes"
+      generateNow === "yes"
         ? `All required PWA assets have been generated and placed in the ${assetsPath} directory.`
         : `Generate all required PWA assets using our web tool:
      1. Visit: https://simplepwa.xyz/
@@ -680,6 +1748,25 @@ async function main() {
      3. Download the generated assets
      4. Extract and place all files in the ${assetsPath} directory`;
 
+    // [locale] layouts that link the manifest of their locale
+    const localeLayouts =
+      localeManifests === "files"
+        ? findMetadataTargets(structure, { localeManifests: true })
+            .filter((target) => target.param)
+            .map((target) => target.file)
+        : [];
+    const localeCodes = locales
+      ? locales.locales.map(({ locale }) => locale)
+      : [];
+
+    const pwaDetails = {
+      assets: getHeadAssets(assets, assetUrl),
+      shortName: manifestInfo.shortName,
+      themeColor: manifestInfo.themeColor,
+      darkThemeColor: manifestInfo.darkThemeColor,
+      manifestUrl: MANIFEST_URLS[manifestType],
+    };
+
     // Update README content
     const readmeContent = `# PWA Setup Instructions
 
@@ -687,111 +1774,185 @@ Your Next.js app has been configured as a Progressive Web App (PWA). Here's what
 
 1. Assets
    All required PWA assets have been generated and placed in the ${assetsPath} directory, including:
-   - Favicons (16x16, 32x32)
-   - Standard icons (48x48 to 512x512)
-   - Apple Touch Icons (57x57 to 180x180)
-   - Maskable icons (192x192, 512x512)
-   - Social media images (og-image, twitter-card)
-   - Device-specific splash screens (iPhone and iPad variants)
+${describeAssets(assets).replace(/^/gm, "   ")}
 
    To regenerate assets, you can run this CLI tool again with a different logo.
 
 2. Configuration Files
-   - manifest.json has been created in the public directory
-   - ${updatedConfigFile} has been updated with PWA configuration
+   - ${
+     manifestType === "route"
+       ? `${manifestFile} serves the manifest at ${MANIFEST_URLS.route}, Next.js links it automatically`
+       : `manifest.json has been created in the public directory`
+   }${
+      localeManifests === "files"
+        ? `
+   - ${getLocaleManifestFile(
+     "<locale>"
+   )} has the names, lang and dir of each locale (${localeCodes.join(", ")})${
+            localeLayouts.length > 0
+              ? `, ${localeLayouts.join(
+                  " and "
+                )} links the one for the locale in the URL`
+              : `. Link the one for the current locale instead of ${MANIFEST_URLS.json}, e.g. in pages/_document, which gets the locale as a prop:
+     \`\`\`jsx
+     <link rel="manifest" href={\`/manifest.\${locale}.json\`} />
+     \`\`\``
+          }`
+        : ""
+    }${
+      localeManifests === "translations"
+        ? `
+   - The manifest's translations member has the names in ${localeCodes
+     .filter((locale) => locale !== locales.defaultLocale)
+     .join(", ")}, its lang and dir are those of ${locales.defaultLocale}`
+        : ""
+    }
+   - ${
+     config.status === "skipped"
+       ? `No service worker was set up (manifest-only), ${config.file} is unchanged`
+       : config.status !== "manual"
+       ? `${config.file} has been updated with the ${backend.title} configuration`
+       : `${
+           config.file
+         } could not be updated automatically, wrap your config with the PWA plugin:
+     \`\`\`js
+${config.snippet.replace(/^/gm, "     ")}
+     \`\`\``
+   }${
+      serviceWorker
+        ? `
+   - ${serviceWorker.file} is the service worker source, it's built into public/sw.js`
+        : ""
+    }${
+      offlinePage
+        ? `
+   - ${offlinePage.file} is served at ${OFFLINE_URL} when a page can't be loaded offline`
+        : ""
+    }${
+      caching
+        ? `
+   - Runtime caching, matched in this order:
+${caching.map((route) => `     - ${describeCachingRoute(route)}`).join("\n")}`
+        : ""
+    }${
+      componentsUsage
+        ? `
+   - ${components
+     .map((component) => component.file)
+     .join(", ")} are ready to use, render them from ${componentsUsage.target}:
+     \`\`\`jsx
+${componentsUsage.imports.map((line) => `     ${line}`).join("\n")}
+
+     <InstallButton />${
+       confirmUpdates
+         ? `
+     <UpdateToast />
+     \`\`\`
+   - New versions of the service worker wait until the user picks Reload in the update toast`
+         : `
+     \`\`\``
+     }`
+        : ""
+    }${
+      backend.ignore.length > 0
+        ? `
+   - .gitignore ignores the generated service worker files (${backend.ignore.join(
+     ", "
+   )})`
+        : ""
+    }
 
 3. Testing
-   - PWA is disabled in development by default
+${
+  backend.serviceWorker !== false
+    ? `   - The service worker is only reliable in production builds
    - To test PWA features, build and start the production server:
      \`\`\`bash
-     ${packageManager === "npm" ? "npm run" : packageManager} build
-     ${packageManager === "npm" ? "npm run" : packageManager} start
-     \`\`\`
+     ${runScript(packageManager, "build")}
+     ${runScript(packageManager, "start")}
+     \`\`\``
+    : `   - Without a service worker the app works online only, browsers can
+     still install it from the manifest`
+}
 
 4. Metadata Setup
-   Add the following metadata to your ${metadataPath} file:
+${
+  metadataFiles.length > 0
+    ? `   The PWA metadata has been added to ${metadataFiles.join(" and ")}.
+   If you move it elsewhere, it looks like this:`
+    : `   Add the following metadata to your ${metadataPath} file:`
+}
 
-   For App Router (inside the metadata object):
+   For App Router:
    \`\`\`tsx
-   import { Metadata } from 'next'
-   
-   export const metadata: Metadata = {
-     manifest: '/manifest.json',
-     themeColor: '${manifestInfo.themeColor}',
-     viewport: {
-       width: 'device-width',
-       initialScale: 1
-     },
-     icons: {
-       apple: '/${path.relative(
-         "public",
-         assetsPath
-       )}/apple-touch-icon-180x180.png'
-     },
-     appleWebApp: {
-       capable: true,
-       statusBarStyle: 'default',
-       title: '${manifestInfo.shortName}',
-     },
-     formatDetection: {
-       telephone: false,
-     },
-     openGraph: {
-       images: ['/${path.relative("public", assetsPath)}/og-image.png'],
-     },
-     twitter: {
-       card: 'summary_large_image',
-       images: ['/${path.relative("public", assetsPath)}/twitter-card.png'],
-     },
-   }
+   import type { Metadata, Viewport } from "next";
+
+   export const metadata: Metadata = ${toJsLiteral(
+     getPwaMetadata({
+       ...pwaDetails,
+       manifestUrl:
+         manifestType === "route" ? undefined : pwaDetails.manifestUrl,
+     }),
+     "   "
+   )};
+
+   export const viewport: Viewport = ${toJsLiteral(
+     getPwaViewport(pwaDetails),
+     "   "
+   )};
    \`\`\`
 
-   Or if you prefer to use meta tags directly in your layout:
+   Or if you prefer to use tags directly in your layout or pages/_document:
    \`\`\`tsx
    <head>
-     <meta name="viewport" content="width=device-width, initial-scale=1" />
-     <meta name="theme-color" content="${manifestInfo.themeColor}" />
-     <link rel="manifest" href="/manifest.json" />
-     <link rel="apple-touch-icon" href="/${path.relative(
-       "public",
-       assetsPath
-     )}/apple-touch-icon-180x180.png" />
-     <meta name="apple-mobile-web-app-capable" content="yes" />
-     <meta name="apple-mobile-web-app-status-bar-style" content="default" />
-     <meta name="apple-mobile-web-app-title" content="${
-       manifestInfo.shortName
-     }" />
-     <meta name="format-detection" content="telephone=no" />
-     <meta property="og:image" content="/${path.relative(
-       "public",
-       assetsPath
-     )}/og-image.png" />
-     <meta name="twitter:card" content="summary_large_image" />
-     <meta name="twitter:image" content="/${path.relative(
-       "public",
-       assetsPath
-     )}/twitter-card.png" />
+${getPwaHeadTags(pwaDetails)
+  .map((tag) => `     ${renderTag(tag)}`)
+  .join("\n")}
    </head>
    \`\`\`
 
 `;
 
-    fs.writeFileSync("PWA_SETUP.md", readmeContent);
+    writer.writeFile("PWA_SETUP.md", readmeContent);
+
+    if (writer.dryRun) {
+      printPlan(writer);
+      return;
+    }
+
+    journal.complete();
 
     console.log(chalk.green("\nPWA setup complete! 🎉"));
+    console.log(
+      chalk.gray(
+        journal.status === "complete"
+          ? "Run `simple-pwa undo` to revert the changes made by this run."
+          : "Nothing changed, so `simple-pwa undo` still reverts the previous run."
+      )
+    );
     console.log(chalk.yellow("\nNext steps:"));
-    if (generateNowResponse.generateNow === "no") {
+    if (generateNow === "no") {
       console.log("1. Generate and add PWA assets using our web tool");
       console.log(`2. Place the generated assets in ${assetsPath}`);
-      console.log(
-        "3. Add the required meta tags to your app (see PWA_SETUP.md)"
-      );
+      if (metadataFiles.length === 0) {
+        console.log(
+          "3. Add the required meta tags to your app (see PWA_SETUP.md)"
+        );
+      }
     } else {
       console.log("1. Check PWA_SETUP.md for detailed instructions");
-      console.log("2. Add the required meta tags to your app");
+      if (metadataFiles.length === 0) {
+        console.log("2. Add the required meta tags to your app");
+      }
     }
   } catch (error) {
     console.error(chalk.red(`\nError: ${error.message}`));
+    if (journal && journal.status === "active") {
+      journal.rollback();
+      console.log(
+        chalk.yellow("All changes made by this run have been rolled back.")
+      );
+    }
     process.exit(1);
   }
 }
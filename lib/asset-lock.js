@@ -0,0 +1,77 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { version } = require("../package.json");
+
+const ASSET_LOCK_FILE = path.join(".simple-pwa", "assets-lock.json");
+const LOCK_VERSION = 1;
+
+function hash(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+function hashFile(file) {
+  return hash(fs.readFileSync(file));
+}
+
+function createAssetLock({ source, settings }) {
+  return { version: LOCK_VERSION, source, settings, assets: {} };
+}
+
+// Reads .simple-pwa/assets-lock.json, ignoring a lock that is missing,
+// unreadable or from another lock format.
+function readAssetLock(writer) {
+  if (!writer.exists(ASSET_LOCK_FILE)) return null;
+  try {
+    const lock = JSON.parse(writer.readFile(ASSET_LOCK_FILE, "utf8"));
+    return lock.version === LOCK_VERSION ? lock : null;
+  } catch {
+    return null;
+  }
+}
+
+// Everything an output depends on: the registry entry, the image it's
+// rendered from, the render settings and the CLI version, whose renderers
+// may change between releases.
+function getAssetKey(asset, { sourceHash, settings }) {
+  return hash(JSON.stringify({ version, asset, sourceHash, settings }));
+}
+
+// An output is skipped when it was rendered from the same inputs and the
+// file still has the content the lock recorded.
+function isAssetUpToDate(lock, file, key, writer) {
+  const entry = lock && lock.assets[toLockPath(file)];
+  return Boolean(
+    entry &&
+      entry.key === key &&
+      writer.exists(file) &&
+      hash(writer.readFile(file)) === entry.hash
+  );
+}
+
+function recordAsset(lock, file, { key, content }) {
+  lock.assets[toLockPath(file)] = {
+    key,
+    hash: hash(content),
+    bytes: content.length,
+  };
+}
+
+function carryOverAsset(lock, previous, file) {
+  lock.assets[toLockPath(file)] = previous.assets[toLockPath(file)];
+}
+
+function toLockPath(file) {
+  return file.split(path.sep).join("/");
+}
+
+module.exports = {
+  ASSET_LOCK_FILE,
+  hashFile,
+  createAssetLock,
+  readAssetLock,
+  getAssetKey,
+  isAssetUpToDate,
+  recordAsset,
+  carryOverAsset,
+};
@@ -0,0 +1,355 @@
+const { getSplashScreens } = require("./splash");
+const { getOutputGroup, resolveOutputOptions } = require("./output");
+
+// Images bundled into favicon.ico
+const FAVICON_ICO_SIZES = [16, 32, 48];
+
+const MIME_TYPES = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+  avif: "image/avif",
+  ico: "image/x-icon",
+  svg: "image/svg+xml",
+};
+
+const FILE_EXTENSIONS = { jpeg: "jpg" };
+const SHORTCUT_ICON_SIZE = 96;
+
+// Only these roles are real app icons, everything else stays out of
+// manifest.icons
+const MANIFEST_ICON_ROLES = ["favicon", "icon", "maskable", "monochrome"];
+const ICON_PURPOSES = { maskable: "maskable", monochrome: "monochrome" };
+
+// Windows tiles and the browserconfig.xml element that declares each one
+const TILES = [
+  { width: 70, height: 70, element: "square70x70logo" },
+  { width: 144, height: 144 },
+  { width: 150, height: 150, element: "square150x150logo" },
+  { width: 310, height: 150, element: "wide310x150logo" },
+  { width: 310, height: 310, element: "square310x310logo" },
+];
+// Windows shows tiles on the theme color and adds no padding of its own
+const TILE_LOGO_RATIO = 0.6;
+
+const ROLE_LABELS = {
+  favicon: "Favicons",
+  icon: "Standard icons",
+  "apple-touch": "Apple touch icons",
+  maskable: "Maskable icons",
+  monochrome: "Monochrome icon",
+  "mask-icon": "Safari pinned tab icon",
+  tile: "Windows tiles",
+  splash: "Splash screens",
+  social: "Social media images",
+  shortcut: "Shortcut icons",
+  screenshot: "Screenshots",
+};
+
+function squareAsset(name, size, role, references = []) {
+  return { name, width: size, height: size, format: "png", role, references };
+}
+
+// Every file the CLI generates. `references` lists where a file is linked
+// from: "manifest" for manifest.icons, "head" for the layout metadata or
+// _document tags. Files without references are only generated.
+//
+// Shortcut icons are rendered from the shortcut's own `icon` when it has one,
+// otherwise from the logo. Screenshots are copied as they are, see
+// inspectScreenshot in ./manifest.
+//
+// A dark logo or background color adds dark splash screens, with `scheme`
+// set on every splash screen, and a dark logo adds an SVG favicon that
+// switches between the two logos. `output` changes the formats of the
+// rendered images, see applyOutputFormats.
+function getAssetRegistry({
+  shortcuts = [],
+  screenshots = [],
+  darkLogo,
+  darkBackgroundColor,
+  output,
+} = {}) {
+  const darkSplash = Boolean(darkLogo || darkBackgroundColor);
+  const splashScreens = darkSplash
+    ? [
+        ...getSplashScreens({ scheme: "light" }),
+        ...getSplashScreens({ scheme: "dark" }),
+      ]
+    : getSplashScreens();
+
+  const slugs = new Set();
+  const slugFor = (shortcut) => {
+    const base =
+      shortcut.name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "") || "shortcut";
+    let slug = base;
+    for (let n = 2; slugs.has(slug); n++) slug = `${base}-${n}`;
+    slugs.add(slug);
+    return slug;
+  };
+  const screenshotCounts = {};
+
+  const assets = [
+    {
+      name: "favicon.ico",
+      width: 48,
+      height: 48,
+      images: FAVICON_ICO_SIZES,
+      format: "ico",
+      role: "favicon",
+      references: ["manifest", "head"],
+    },
+    squareAsset("favicon-32x32.png", 32, "favicon", ["manifest"]),
+    squareAsset("favicon-16x16.png", 16, "favicon", ["manifest"]),
+    ...(darkLogo
+      ? [
+          {
+            name: "favicon.svg",
+            format: "svg",
+            role: "favicon",
+            references: ["head"],
+          },
+        ]
+      : []),
+    ...[48, 72, 96, 128, 144, 152, 192, 384, 512].map((size) =>
+      squareAsset(`icon-${size}x${size}.png`, size, "icon", ["manifest"])
+    ),
+    ...[57, 60, 72, 76, 114, 120, 144, 152].map((size) =>
+      squareAsset(`apple-touch-icon-${size}x${size}.png`, size, "apple-touch")
+    ),
+    squareAsset("apple-touch-icon-180x180.png", 180, "apple-touch", ["head"]),
+    ...[192, 512].map((size) =>
+      squareAsset(`maskable_icon-${size}x${size}.png`, size, "maskable", [
+        "manifest",
+      ])
+    ),
+    squareAsset("monochrome_icon-512x512.png", 512, "monochrome", ["manifest"]),
+    {
+      name: "safari-pinned-tab.svg",
+      width: 16,
+      height: 16,
+      format: "svg",
+      role: "mask-icon",
+      references: ["head"],
+    },
+    ...TILES.map(({ width, height, element }) => ({
+      name: `mstile-${width}x${height}.png`,
+      width,
+      height,
+      format: "png",
+      role: "tile",
+      element,
+      references: ["browserconfig"],
+    })),
+    {
+      name: "browserconfig.xml",
+      format: "xml",
+      role: "tile",
+      references: ["head"],
+    },
+    ...splashScreens.map((splash) => ({
+      name: splash.name,
+      width: splash.width,
+      height: splash.height,
+      format: "png",
+      role: "splash",
+      scheme: splash.scheme,
+      references: ["head"],
+      media: splash.media,
+    })),
+    {
+      name: "og-image.png",
+      width: 1200,
+      height: 630,
+      format: "png",
+      role: "social",
+      network: "openGraph",
+      references: ["head"],
+    },
+    {
+      name: "twitter-card.png",
+      width: 1024,
+      height: 512,
+      format: "png",
+      role: "social",
+      network: "twitter",
+      references: ["head"],
+    },
+    ...shortcuts.map((shortcut, index) => ({
+      ...squareAsset(
+        `shortcut-${slugFor(
+          shortcut
+        )}-${SHORTCUT_ICON_SIZE}x${SHORTCUT_ICON_SIZE}.png`,
+        SHORTCUT_ICON_SIZE,
+        "shortcut",
+        ["manifest"]
+      ),
+      shortcut: index,
+      source: shortcut.icon,
+    })),
+    ...screenshots.map((screenshot) => {
+      const count = (screenshotCounts[screenshot.formFactor] || 0) + 1;
+      screenshotCounts[screenshot.formFactor] = count;
+      const extension = FILE_EXTENSIONS[screenshot.format] || screenshot.format;
+      return {
+        name: `screenshot-${screenshot.formFactor}-${count}.${extension}`,
+        width: screenshot.width,
+        height: screenshot.height,
+        format: screenshot.format,
+        role: "screenshot",
+        references: ["manifest"],
+        source: screenshot.source,
+        formFactor: screenshot.formFactor,
+        label: screenshot.label,
+      };
+    }),
+  ];
+  return output ? applyOutputFormats(assets, output) : assets;
+}
+
+// Renames the rendered PNGs whose output group uses another format, and
+// adds an entry for each alternate format right after the file it's an
+// alternate of. Alternates are referenced from the same places, so social
+// images list them after the primary image.
+function applyOutputFormats(assets, output) {
+  const resolved = resolveOutputOptions(output);
+  const withFormat = (name, format) =>
+    name.replace(/\.[^.]+$/, `.${FILE_EXTENSIONS[format] || format}`);
+
+  return assets.flatMap((asset) => {
+    const group = getOutputGroup(asset);
+    if (!group || asset.format !== "png" || asset.source) return [asset];
+
+    const { format, alternates } = resolved[group];
+    const primary = { ...asset, name: withFormat(asset.name, format), format };
+    return [
+      primary,
+      ...alternates.map((alternate) => ({
+        ...primary,
+        name: withFormat(asset.name, alternate),
+        format: alternate,
+        alternateOf: primary.name,
+      })),
+    ];
+  });
+}
+
+function getAssetSizes(asset) {
+  if (!asset.width) return undefined;
+  return asset.images
+    ? asset.images.map((size) => `${size}x${size}`).join(" ")
+    : `${asset.width}x${asset.height}`;
+}
+
+function getAssetType(asset) {
+  return MIME_TYPES[asset.format];
+}
+
+function isReferencedFrom(asset, place) {
+  return asset.references.includes(place);
+}
+
+function getManifestIcons(assets, assetUrl) {
+  return assets
+    .filter(
+      (asset) =>
+        MANIFEST_ICON_ROLES.includes(asset.role) &&
+        isReferencedFrom(asset, "manifest")
+    )
+    .map((asset) => ({
+      src: assetUrl(asset.name),
+      sizes: getAssetSizes(asset),
+      type: getAssetType(asset),
+      purpose: ICON_PURPOSES[asset.role] || "any",
+    }));
+}
+
+// The images the layout metadata or _document links to, grouped by how
+// they're referenced.
+function getHeadAssets(assets, assetUrl) {
+  const head = assets.filter((asset) => isReferencedFrom(asset, "head"));
+  const byRole = (role) => head.filter((asset) => asset.role === role);
+  const social = (network) =>
+    byRole("social")
+      .filter((asset) => asset.network === network)
+      .map((asset) => assetUrl(asset.name));
+  const apple = byRole("apple-touch")[0];
+  const maskIcon = byRole("mask-icon")[0];
+  const browserconfig = byRole("tile")[0];
+  const tileImage = assets.find(
+    (asset) => asset.role === "tile" && asset.width === 144
+  );
+
+  return {
+    icons: byRole("favicon").map((asset) => ({
+      url: assetUrl(asset.name),
+      sizes: getAssetSizes(asset),
+      type: getAssetType(asset),
+    })),
+    apple: apple ? assetUrl(apple.name) : undefined,
+    maskIcon: maskIcon ? assetUrl(maskIcon.name) : undefined,
+    browserconfig: browserconfig ? assetUrl(browserconfig.name) : undefined,
+    tileImage: tileImage ? assetUrl(tileImage.name) : undefined,
+    startupImages: byRole("splash").map((asset) => ({
+      url: assetUrl(asset.name),
+      media: asset.media,
+    })),
+    openGraph: social("openGraph"),
+    twitter: social("twitter"),
+  };
+}
+
+// browserconfig.xml for pinned sites on Windows, listing the tiles shown on
+// the theme color.
+function createBrowserconfig(assets, assetUrl, tileColor) {
+  const tiles = assets
+    .filter((asset) => asset.role === "tile" && asset.element)
+    .map((asset) => `      <${asset.element} src="${assetUrl(asset.name)}"/>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<browserconfig>
+  <msapplication>
+    <tile>
+${tiles.join("\n")}
+      <TileColor>${tileColor}</TileColor>
+    </tile>
+  </msapplication>
+</browserconfig>
+`;
+}
+
+// One markdown list item per role, for PWA_SETUP.md.
+function describeAssets(assets) {
+  return Object.entries(ROLE_LABELS)
+    .map(([role, label]) => {
+      const matching = assets.filter((asset) => asset.role === role);
+      if (matching.length === 0) return null;
+      if (role === "splash") {
+        const schemes = matching.some((asset) => asset.scheme === "dark")
+          ? ", light and dark"
+          : "";
+        return `- ${label}: ${matching.length} images for iPhone and iPad, portrait and landscape${schemes}`;
+      }
+      const files = matching.map((asset) =>
+        asset.images ? `${asset.name} (${getAssetSizes(asset)})` : asset.name
+      );
+      return `- ${label}: ${files.join(", ")}`;
+    })
+    .filter(Boolean)
+    .join("\n");
+}
+
+module.exports = {
+  TILE_LOGO_RATIO,
+  ROLE_LABELS,
+  getAssetRegistry,
+  applyOutputFormats,
+  getAssetSizes,
+  getAssetType,
+  getManifestIcons,
+  getHeadAssets,
+  createBrowserconfig,
+  describeAssets,
+};
@@ -0,0 +1,254 @@
+const path = require("path");
+const { parse } = require("@babel/parser");
+
+function parseSource(source, file) {
+  const ext = path.extname(file);
+  const plugins = [];
+  if ([".ts", ".mts", ".cts", ".tsx"].includes(ext)) plugins.push("typescript");
+  if (ext !== ".ts" && ext !== ".mts" && ext !== ".cts") plugins.push("jsx");
+
+  let sourceType = "unambiguous";
+  if (ext === ".mjs" || ext === ".mts") sourceType = "module";
+  if (ext === ".cjs" || ext === ".cts") sourceType = "script";
+
+  try {
+    return parse(source, { sourceType, plugins });
+  } catch (error) {
+    throw new Error(`Could not parse ${file}: ${error.message}`);
+  }
+}
+
+// Calls visit(node, parent) for every node below the given one.
+function walk(node, visit, parent = null) {
+  if (!node || typeof node.type !== "string") return;
+  if (visit(node, parent) === false) return;
+
+  for (const key of Object.keys(node)) {
+    if (key === "loc" || key.endsWith("Comments")) continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      child.forEach((item) => walk(item, visit, node));
+    } else if (child && typeof child.type === "string") {
+      walk(child, visit, node);
+    }
+  }
+}
+
+function isRequireCall(node, packages) {
+  return (
+    node.type === "CallExpression" &&
+    node.callee.type === "Identifier" &&
+    node.callee.name === "require" &&
+    node.arguments.length === 1 &&
+    node.arguments[0].type === "StringLiteral" &&
+    (!packages || packages.includes(node.arguments[0].value))
+  );
+}
+
+// Returns true when the module imports or requires any of the given packages.
+function importsAny(ast, packages) {
+  let found = false;
+  walk(ast.program, (node) => {
+    if (found) return false;
+    if (
+      (node.type === "ImportDeclaration" &&
+        packages.includes(node.source.value)) ||
+      isRequireCall(node, packages)
+    ) {
+      found = true;
+    }
+    return undefined;
+  });
+  return found;
+}
+
+function isEsModule(ast) {
+  return ast.program.body.some((node) =>
+    [
+      "ImportDeclaration",
+      "ExportDefaultDeclaration",
+      "ExportNamedDeclaration",
+      "ExportAllDeclaration",
+    ].includes(node.type)
+  );
+}
+
+// Offset right after the last top-level import or require statement, or the
+// offset where new code can be placed at the top of the file.
+function findImportInsertionPoint(ast, source) {
+  const { body } = ast.program;
+  let last = null;
+  for (const node of body) {
+    const isImport =
+      node.type === "ImportDeclaration" ||
+      (node.type === "VariableDeclaration" &&
+        node.declarations.some(
+          (declaration) =>
+            declaration.init &&
+            (isRequireCall(declaration.init) ||
+              (declaration.init.type === "CallExpression" &&
+                isRequireCall(declaration.init.callee)))
+        ));
+    if (isImport) last = node;
+  }
+
+  if (last) return { offset: last.end, position: "after", afterImport: true };
+
+  let offset = 0;
+  const directives = ast.program.directives || [];
+  if (directives.length > 0) {
+    offset = directives[directives.length - 1].end;
+    return { offset, position: "after" };
+  }
+
+  // Keep file-level pragmas such as `// @ts-check` at the very top
+  for (const comment of ast.comments || []) {
+    if (body.length > 0 && comment.start >= body[0].start) break;
+    if (/@ts-|eslint|prettier|^!/.test(comment.value.trim())) {
+      offset = comment.end;
+    }
+  }
+  if (source.startsWith("#!")) offset = Math.max(offset, source.indexOf("\n"));
+
+  return { offset, position: offset === 0 ? "before" : "after" };
+}
+
+function unwrapTypeExpression(node) {
+  let current = node;
+  while (
+    ["TSSatisfiesExpression", "TSAsExpression", "TSNonNullExpression"].includes(
+      current.type
+    )
+  ) {
+    current = current.expression;
+  }
+  return current;
+}
+
+// The value of a literal expression, for config read from source files.
+// Throws on anything that's computed at runtime.
+function toValue(node) {
+  const value = unwrapTypeExpression(node);
+  switch (value.type) {
+    case "StringLiteral":
+    case "NumericLiteral":
+    case "BooleanLiteral":
+      return value.value;
+    case "NullLiteral":
+      return null;
+    case "TemplateLiteral":
+      if (value.expressions.length > 0) break;
+      return value.quasis[0].value.cooked;
+    case "ArrayExpression":
+      return value.elements.map((element) => toValue(element));
+    case "ObjectExpression":
+      return Object.fromEntries(
+        value.properties.map((property) => {
+          if (property.type !== "ObjectProperty" || property.computed) {
+            throw new Error("unsupported property");
+          }
+          const key =
+            property.key.type === "Identifier"
+              ? property.key.name
+              : property.key.value;
+          return [key, toValue(property.value)];
+        })
+      );
+  }
+  throw new Error(`unsupported ${value.type}`);
+}
+
+function formatKey(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+// An expression toJsLiteral writes out as is, for values such as functions
+// that have no literal form.
+class RawCode {
+  constructor(code) {
+    this.code = code;
+  }
+}
+
+function rawCode(code) {
+  return new RawCode(code);
+}
+
+// Formats a plain value as a JS literal with unquoted keys and trailing
+// commas, continuing lines at the given indent.
+function toJsLiteral(value, indent = "") {
+  const inner = `${indent}  `;
+
+  if (value instanceof RawCode) return value.code;
+  if (value instanceof RegExp) return value.toString();
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "[]";
+    const items = value.map((item) => toJsLiteral(item, inner));
+    const inline = `[${items.join(", ")}]`;
+    if (!inline.includes("\n") && indent.length + inline.length <= 72) {
+      return inline;
+    }
+    return `[\n${items
+      .map((item) => `${inner}${item},`)
+      .join("\n")}\n${indent}]`;
+  }
+
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value).filter(
+      ([, item]) => item !== undefined
+    );
+    if (entries.length === 0) return "{}";
+    const lines = entries.map(
+      ([key, item]) => `${inner}${formatKey(key)}: ${toJsLiteral(item, inner)},`
+    );
+    return `{\n${lines.join("\n")}\n${indent}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+// Whitespace at the start of the line containing the given offset.
+function getIndent(source, offset) {
+  const lineStart = source.lastIndexOf("\n", offset - 1) + 1;
+  return source.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+// The range of a top-level statement with the whitespace before it, or
+// after it at the start of the file, so removing it leaves no gap.
+function getStatementRange(source, node) {
+  let start = node.start;
+  while (start > 0 && /\s/.test(source[start - 1])) start -= 1;
+  if (start > 0) return { start, end: node.end };
+  let end = node.end;
+  while (end < source.length && /\s/.test(source[end])) end += 1;
+  return { start: 0, end };
+}
+
+// Applies non-overlapping { start, end, text } edits to the source.
+function applyEdits(source, edits) {
+  return [...edits]
+    .sort((a, b) => b.start - a.start)
+    .reduce(
+      (result, edit) =>
+        result.slice(0, edit.start) + edit.text + result.slice(edit.end),
+      source
+    );
+}
+
+module.exports = {
+  parseSource,
+  walk,
+  isRequireCall,
+  importsAny,
+  isEsModule,
+  findImportInsertionPoint,
+  unwrapTypeExpression,
+  toValue,
+  formatKey,
+  rawCode,
+  toJsLiteral,
+  getIndent,
+  getStatementRange,
+  applyEdits,
+};
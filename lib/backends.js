@@ -0,0 +1,238 @@
+const path = require("path");
+const { rawCode } = require("./ast");
+const { nextPwaPlugin } = require("./next-config");
+const {
+  toWorkboxRuntimeCaching,
+  renderSerwistRuntimeCaching,
+} = require("./caching");
+
+const SERWIST_SW_DEST = "public/sw.js";
+
+function getSerwistSwSrc(structure, typescript) {
+  return path
+    .join(structure.appDir || structure.baseDir, typescript ? "sw.ts" : "sw.js")
+    .split(path.sep)
+    .join("/");
+}
+
+// `offline` is the URL of the document fallback and `caching` the runtime
+// caching routes, both optional. Without routes the worker uses Serwist's
+// defaultCache. With `confirmUpdates` a new worker waits until the page
+// sends it a SKIP_WAITING message.
+function createSerwistWorkerSource({
+  typescript,
+  offline,
+  caching,
+  confirmUpdates,
+}) {
+  // The webworker lib types `self` and the service worker events without
+  // changing tsconfig.json
+  const header = typescript
+    ? `/// <reference lib="webworker" />
+`
+    : "";
+  const typeImport = typescript
+    ? `import type { PrecacheEntry, SerwistGlobalConfig } from "serwist";
+`
+    : "";
+  const runtimeCaching = caching
+    ? renderSerwistRuntimeCaching(caching, "  ")
+    : { code: "defaultCache", imports: [] };
+  const serwistImports = [...runtimeCaching.imports, "Serwist"].sort();
+  const fallbacks = offline
+    ? `
+  fallbacks: {
+    entries: [
+      {
+        url: ${JSON.stringify(offline)},
+        matcher: ({ request }) => request.destination === "document",
+      },
+    ],
+  },`
+    : "";
+  const declarations = typescript
+    ? `
+declare global {
+  interface WorkerGlobalScope extends SerwistGlobalConfig {
+    __SW_MANIFEST: (PrecacheEntry | string)[] | undefined;
+  }
+}
+
+declare const self: ServiceWorkerGlobalScope;
+`
+    : "";
+  const skipWaitingListener = confirmUpdates
+    ? `
+// UpdateToast asks the waiting worker to take over
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+`
+    : "";
+
+  const defaultCacheImport = caching
+    ? ""
+    : `import { defaultCache } from "@serwist/next/worker";
+`;
+
+  return `${header}${defaultCacheImport}${typeImport}import { ${serwistImports.join(
+    ", "
+  )} } from "serwist";
+${declarations}
+const serwist = new Serwist({
+  precacheEntries: self.__SW_MANIFEST,
+  skipWaiting: ${!confirmUpdates},
+  clientsClaim: true,
+  navigationPreload: true,
+  runtimeCaching: ${runtimeCaching.code},${fallbacks}
+});
+
+serwist.addEventListeners();
+${skipWaitingListener}`;
+}
+
+// Service worker setups the CLI can install. `packages` and `devPackages`
+// are installed with the project's package manager, `ignore` lists the
+// generated files that shouldn't be committed. `getPlugin` gets the offline
+// fallback URL and runtime caching routes, when they're set up, and
+// `confirmUpdates` when updates wait for the user instead of activating
+// right away.
+// `serviceWorker: false` marks the setup without a service worker.
+const BACKENDS = [
+  {
+    name: "ducanh2912",
+    title: "@ducanh2912/next-pwa",
+    description: "Maintained next-pwa fork that supports the App Router",
+    packages: ["@ducanh2912/next-pwa"],
+    devPackages: [],
+    getPlugin: ({ offline, caching, confirmUpdates }) => ({
+      packageName: "@ducanh2912/next-pwa",
+      initName: "withPWAInit",
+      wrapper: "withPWA",
+      options: {
+        dest: "public",
+        register: true,
+        fallbacks: offline ? { document: offline } : undefined,
+        workboxOptions: {
+          skipWaiting: !confirmUpdates,
+          runtimeCaching: caching && toWorkboxRuntimeCaching(caching),
+        },
+      },
+    }),
+    ignore: [
+      "public/sw.js*",
+      "public/workbox-*.js*",
+      "public/worker-*.js*",
+      "public/fallback-*.js*",
+      "public/swe-worker-*.js*",
+    ],
+  },
+  {
+    name: "serwist",
+    title: "Serwist",
+    description: "Successor to next-pwa with a service worker you own",
+    packages: ["@serwist/next"],
+    devPackages: ["serwist"],
+    getPlugin: ({ structure, typescript, offline }) => ({
+      packageName: "@serwist/next",
+      initName: "withSerwistInit",
+      wrapper: "withSerwist",
+      options: {
+        swSrc: getSerwistSwSrc(structure, typescript),
+        swDest: SERWIST_SW_DEST,
+        // The offline page isn't part of the build manifest, the revision
+        // changes with every build so updates to it are picked up
+        additionalPrecacheEntries: offline
+          ? [{ url: offline, revision: rawCode("Date.now().toString()") }]
+          : undefined,
+      },
+    }),
+    getServiceWorker: ({
+      structure,
+      typescript,
+      offline,
+      caching,
+      confirmUpdates,
+    }) => ({
+      file: getSerwistSwSrc(structure, typescript),
+      content: createSerwistWorkerSource({
+        typescript,
+        offline,
+        caching,
+        confirmUpdates,
+      }),
+    }),
+    ignore: ["public/sw*", "public/swe-worker*"],
+  },
+  {
+    name: "next-pwa",
+    title: "next-pwa",
+    description: "The original plugin, unmaintained and Pages Router only",
+    packages: ["next-pwa"],
+    devPackages: [],
+    getPlugin: ({ offline, caching, confirmUpdates }) => ({
+      ...nextPwaPlugin,
+      options: {
+        ...nextPwaPlugin.options,
+        skipWaiting: !confirmUpdates,
+        fallbacks: offline ? { document: offline } : undefined,
+        runtimeCaching: caching && toWorkboxRuntimeCaching(caching),
+      },
+    }),
+    ignore: [
+      "public/sw.js*",
+      "public/workbox-*.js*",
+      "public/worker-*.js*",
+      "public/fallback-*.js*",
+    ],
+  },
+  {
+    name: "manifest-only",
+    title: "Manifest only",
+    description: "No service worker, installs nothing",
+    packages: [],
+    devPackages: [],
+    getPlugin: () => null,
+    ignore: [],
+    serviceWorker: false,
+  },
+];
+
+function getBackend(name) {
+  const backend = BACKENDS.find((candidate) => candidate.name === name);
+  if (!backend) throw new Error(`Unknown service worker backend "${name}"`);
+  return backend;
+}
+
+// The backend whose plugin the project depends on, null when there's none.
+function detectBackend(packageJson) {
+  const dependencies = {
+    ...(packageJson && packageJson.dependencies),
+    ...(packageJson && packageJson.devDependencies),
+  };
+  return (
+    BACKENDS.find((backend) =>
+      backend.packages.some((name) => dependencies[name])
+    ) || null
+  );
+}
+
+// Adds the entries .gitignore is missing, under a comment so they're easy to
+// find again.
+function patchGitignore(source, entries, comment = "PWA service worker files") {
+  const existing = source.split(/\r?\n/).map((line) => line.trim());
+  const missing = entries.filter((entry) => !existing.includes(entry));
+  if (missing.length === 0) return source;
+
+  const prefix = source === "" || source.endsWith("\n") ? "" : "\n";
+  const spacer = source.trim() === "" ? "" : "\n";
+  return `${source}${prefix}${spacer}# ${comment}\n${missing.join("\n")}\n`;
+}
+
+module.exports = {
+  BACKENDS,
+  getSerwistSwSrc,
+  getBackend,
+  detectBackend,
+  patchGitignore,
+};
@@ -0,0 +1,202 @@
+const { rawCode, toJsLiteral } = require("./ast");
+
+const DAY = 24 * 60 * 60;
+
+const HANDLERS = [
+  "NetworkFirst",
+  "StaleWhileRevalidate",
+  "CacheFirst",
+  "NetworkOnly",
+  "CacheOnly",
+];
+
+// Runtime caching presets, in the order the routes are matched. Custom
+// routes are matched before all of them.
+const CACHING_PRESETS = [
+  {
+    name: "api",
+    title: "API routes",
+    description: "NetworkOnly for /api, never served from the cache",
+    urlPattern: /\/api\//i,
+    handler: "NetworkOnly",
+  },
+  {
+    name: "pages",
+    title: "Pages",
+    description:
+      "NetworkFirst for page navigations, cached copies are used offline",
+    urlPattern: rawCode('({ request }) => request.mode === "navigate"'),
+    handler: "NetworkFirst",
+    cacheName: "pages",
+    networkTimeoutSeconds: 10,
+    expiration: { maxEntries: 32, maxAgeSeconds: DAY },
+  },
+  {
+    name: "fonts",
+    title: "Fonts",
+    description: "CacheFirst for web fonts, kept for a year",
+    urlPattern: /\.(?:woff2?|ttf|otf|eot)$/i,
+    handler: "CacheFirst",
+    cacheName: "fonts",
+    expiration: { maxEntries: 16, maxAgeSeconds: 365 * DAY },
+  },
+  {
+    name: "images",
+    title: "Images",
+    description: "CacheFirst for images, kept for 30 days",
+    urlPattern: /\.(?:png|jpe?g|gif|webp|avif|svg|ico)$/i,
+    handler: "CacheFirst",
+    cacheName: "images",
+    expiration: { maxEntries: 128, maxAgeSeconds: 30 * DAY },
+  },
+  {
+    name: "static",
+    title: "Static assets",
+    description: "StaleWhileRevalidate for scripts and stylesheets",
+    urlPattern: /\.(?:js|css)$/i,
+    handler: "StaleWhileRevalidate",
+    cacheName: "static-resources",
+    expiration: { maxEntries: 64, maxAgeSeconds: 7 * DAY },
+  },
+];
+
+function getCachingPreset(name) {
+  const preset = CACHING_PRESETS.find((candidate) => candidate.name === name);
+  if (!preset) {
+    throw new Error(
+      `Unknown caching preset "${name}", expected one of ${CACHING_PRESETS.map(
+        (candidate) => candidate.name
+      ).join(", ")}`
+    );
+  }
+  return preset;
+}
+
+// Custom routes come from config objects ({ pattern, handler, cacheName,
+// maxEntries, maxAgeSeconds }) or `Handler:pattern` flags. Patterns are
+// regular expressions tested against the full URL.
+function parseCacheRoute(spec, index) {
+  const route =
+    typeof spec === "string"
+      ? {
+          handler: spec.slice(0, spec.indexOf(":")),
+          pattern: spec.slice(spec.indexOf(":") + 1),
+        }
+      : spec || {};
+
+  if (!HANDLERS.includes(route.handler)) {
+    throw new Error(
+      `Cache route "${
+        typeof spec === "string" ? spec : route.pattern
+      }" needs a handler, one of ${HANDLERS.join(", ")}`
+    );
+  }
+  if (!route.pattern) throw new Error("Every cache route needs a pattern");
+  let urlPattern;
+  try {
+    urlPattern = new RegExp(route.pattern);
+  } catch (error) {
+    throw new Error(`Invalid cache route pattern: ${error.message}`);
+  }
+
+  const cached = route.handler !== "NetworkOnly";
+  return {
+    urlPattern,
+    handler: route.handler,
+    cacheName: cached ? route.cacheName || `custom-${index + 1}` : undefined,
+    expiration: cached
+      ? {
+          maxEntries: route.maxEntries || 64,
+          maxAgeSeconds: route.maxAgeSeconds || 7 * DAY,
+        }
+      : undefined,
+  };
+}
+
+function getCachingRoutes(presetNames, customRoutes = []) {
+  const presets = presetNames.map(getCachingPreset);
+  return [
+    ...customRoutes.map(parseCacheRoute),
+    ...CACHING_PRESETS.filter((preset) => presets.includes(preset)),
+  ];
+}
+
+// The routes in the shape of Workbox's runtimeCaching option, used by
+// next-pwa and @ducanh2912/next-pwa.
+function toWorkboxRuntimeCaching(routes) {
+  return routes.map((route) => ({
+    urlPattern: route.urlPattern,
+    handler: route.handler,
+    options: route.cacheName
+      ? {
+          cacheName: route.cacheName,
+          networkTimeoutSeconds: route.networkTimeoutSeconds,
+          expiration: route.expiration,
+        }
+      : undefined,
+  }));
+}
+
+// Serwist takes strategy instances instead, returns the source of the
+// runtimeCaching array and the names to import from "serwist".
+function renderSerwistRuntimeCaching(routes, indent = "") {
+  const inner = `${indent}  `;
+  const imports = new Set();
+
+  const entries = routes.map((route) => {
+    imports.add(route.handler);
+    let options;
+    if (route.cacheName) {
+      imports.add("ExpirationPlugin");
+      options = toJsLiteral(
+        {
+          cacheName: route.cacheName,
+          networkTimeoutSeconds: route.networkTimeoutSeconds,
+          plugins: [
+            rawCode(
+              `new ExpirationPlugin(${toJsLiteral(
+                route.expiration,
+                `${inner}      `
+              )})`
+            ),
+          ],
+        },
+        `${inner}  `
+      );
+    }
+    return `${inner}{
+${inner}  matcher: ${toJsLiteral(route.urlPattern)},
+${inner}  handler: new ${route.handler}(${options || ""}),
+${inner}},`;
+  });
+
+  return {
+    code: `[\n${entries.join("\n")}\n${indent}]`,
+    imports: [...imports],
+  };
+}
+
+function formatDays(seconds) {
+  const days = Math.round(seconds / DAY);
+  return days === 1 ? "1 day" : `${days} days`;
+}
+
+function describeCachingRoute(route) {
+  const preset = CACHING_PRESETS.find((candidate) => candidate === route);
+  const target = preset ? preset.title : `URLs matching ${route.urlPattern}`;
+  return `${target}: ${route.handler}${
+    route.expiration
+      ? ` (up to ${route.expiration.maxEntries} entries, ${formatDays(
+          route.expiration.maxAgeSeconds
+        )})`
+      : ""
+  }`;
+}
+
+module.exports = {
+  CACHING_PRESETS,
+  getCachingRoutes,
+  toWorkboxRuntimeCaching,
+  renderSerwistRuntimeCaching,
+  describeCachingRoute,
+};
@@ -0,0 +1,418 @@
+const fs = require("fs");
+const path = require("path");
+const { getTextColor } = require("./images");
+
+// Where the components go, next to app/ or pages/
+function getComponentsDir(structure) {
+  return path.join(structure.baseDir, "components", "pwa");
+}
+
+// App Router projects need the components marked as client components,
+// Pages Router ones don't mind the directive but don't need it.
+function getDirective(structure) {
+  return structure.appDir ? '"use client";\n\n' : "";
+}
+
+function createUsePwaInstallSource({ structure, typescript }) {
+  const ts = (code) => (typescript ? code : "");
+  const types = typescript
+    ? `// Not in TypeScript's DOM types yet
+interface BeforeInstallPromptEvent extends Event {
+  prompt(): Promise<void>;
+  userChoice: Promise<{ outcome: "accepted" | "dismissed"; platform: string }>;
+}
+
+`
+    : "";
+
+  return `${getDirective(
+    structure
+  )}import { useCallback, useEffect, useState } from "react";
+
+${types}function isStandalone() {
+  return (
+    window.matchMedia("(display-mode: standalone)").matches ||
+    // iOS Safari
+    ("standalone" in navigator && navigator.standalone === true)
+  );
+}
+
+// iPadOS reports itself as a Mac, but Macs don't have touch screens
+function isIos() {
+  return (
+    /iphone|ipad|ipod/i.test(navigator.userAgent) ||
+    (navigator.userAgent.includes("Macintosh") && navigator.maxTouchPoints > 1)
+  );
+}
+
+// Tracks whether the app can be installed. Browsers with an install prompt
+// fire beforeinstallprompt, iOS has none, so \`showIosInstructions\` says
+// when to explain Add to Home Screen instead.
+export function usePwaInstall() {
+  const [promptEvent, setPromptEvent] =${
+    typescript
+      ? `
+    useState<BeforeInstallPromptEvent | null>(null);`
+      : " useState(null);"
+  }
+  const [installed, setInstalled] = useState(false);
+  const [ios, setIos] = useState(false);
+
+  useEffect(() => {
+    setInstalled(isStandalone());
+    setIos(isIos());
+
+    const onBeforeInstallPrompt = (event${ts(": Event")}) => {
+      // Keeps the browser's own install banner from showing
+      event.preventDefault();
+      setPromptEvent(event${ts(" as BeforeInstallPromptEvent")});
+    };
+    const onAppInstalled = () => {
+      setInstalled(true);
+      setPromptEvent(null);
+    };
+
+    window.addEventListener("beforeinstallprompt", onBeforeInstallPrompt);
+    window.addEventListener("appinstalled", onAppInstalled);
+    return () => {
+      window.removeEventListener("beforeinstallprompt", onBeforeInstallPrompt);
+      window.removeEventListener("appinstalled", onAppInstalled);
+    };
+  }, []);
+
+  const install = useCallback(async () => {
+    if (!promptEvent) return "unavailable";
+    await promptEvent.prompt();
+    const { outcome } = await promptEvent.userChoice;
+    // The event can only prompt once
+    setPromptEvent(null);
+    return outcome;
+  }, [promptEvent]);
+
+  return {
+    canInstall: promptEvent !== null,
+    showIosInstructions: ios && !installed,
+    installed,
+    install,
+  };
+}
+`;
+}
+
+function createInstallButtonSource({
+  structure,
+  typescript,
+  name,
+  themeColor,
+  backgroundColor,
+}) {
+  const ts = (code) => (typescript ? code : "");
+  const buttonStyle = `{
+  padding: "0.75rem 1.5rem",
+  border: "none",
+  borderRadius: "0.5rem",
+  background: ${JSON.stringify(themeColor)},
+  color: ${JSON.stringify(getTextColor(themeColor))},
+  font: "inherit",
+  cursor: "pointer",
+}`;
+
+  return `${getDirective(structure)}import { useState } from "react";
+import { usePwaInstall } from "./usePwaInstall";
+
+const buttonStyle${ts(": React.CSSProperties")} = ${buttonStyle};
+
+${
+  typescript
+    ? `type InstallButtonProps = {
+  label?: string;
+};
+
+`
+    : ""
+}// Shows the browser's install prompt, or on iOS a sheet explaining how to
+// add the app from Safari's share menu. Renders nothing once installed or
+// when the browser can't install the app.
+export function InstallButton({ label = "Install app" }${ts(
+    ": InstallButtonProps"
+  )}) {
+  const { canInstall, showIosInstructions, install } = usePwaInstall();
+  const [sheetOpen, setSheetOpen] = useState(false);
+
+  if (canInstall) {
+    return (
+      <button type="button" style={buttonStyle} onClick={install}>
+        {label}
+      </button>
+    );
+  }
+  if (!showIosInstructions) return null;
+
+  return (
+    <>
+      <button
+        type="button"
+        style={buttonStyle}
+        onClick={() => setSheetOpen(true)}
+      >
+        {label}
+      </button>
+      {sheetOpen && (
+        <div
+          role="dialog"
+          aria-modal="true"
+          aria-labelledby="pwa-install-title"
+          onClick={() => setSheetOpen(false)}
+          style={{
+            position: "fixed",
+            inset: 0,
+            zIndex: 1000,
+            display: "flex",
+            alignItems: "flex-end",
+            background: "rgba(0, 0, 0, 0.4)",
+          }}
+        >
+          <div
+            onClick={(event) => event.stopPropagation()}
+            style={{
+              width: "100%",
+              padding:
+                "1.5rem 1.5rem calc(1.5rem + env(safe-area-inset-bottom))",
+              borderRadius: "1rem 1rem 0 0",
+              background: ${JSON.stringify(backgroundColor)},
+              color: ${JSON.stringify(getTextColor(backgroundColor))},
+              fontFamily: "system-ui, sans-serif",
+            }}
+          >
+            <h2 id="pwa-install-title" style={{ marginTop: 0 }}>
+              Install {${JSON.stringify(name)}}
+            </h2>
+            <ol style={{ paddingLeft: "1.25rem", lineHeight: 1.6 }}>
+              <li>
+                Tap the <strong>Share</strong> button in the Safari toolbar
+              </li>
+              <li>
+                Scroll down and tap <strong>Add to Home Screen</strong>
+              </li>
+              <li>
+                Tap <strong>Add</strong> in the top right corner
+              </li>
+            </ol>
+            <button
+              type="button"
+              style={buttonStyle}
+              onClick={() => setSheetOpen(false)}
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
+`;
+}
+
+function createUpdateToastSource({
+  structure,
+  typescript,
+  themeColor,
+  backgroundColor,
+}) {
+  const ts = (code) => (typescript ? code : "");
+  const textColor = getTextColor(backgroundColor);
+
+  return `${getDirective(
+    structure
+  )}import { useEffect, useRef, useState } from "react";
+
+// Offers to reload when a new version of the app has been downloaded. The
+// service worker waits instead of taking over by itself, so open tabs
+// don't switch versions halfway through; "Reload" tells it to take over
+// and reloads once it has.
+export function UpdateToast() {
+  const [waiting, setWaiting] = useState${ts("<ServiceWorker | null>")}(null);
+  const confirmed = useRef(false);
+
+  useEffect(() => {
+    if (!("serviceWorker" in navigator)) return;
+    const { serviceWorker } = navigator;
+    let registration${ts(": ServiceWorkerRegistration | undefined")};
+
+    // A worker that finishes installing while another one controls the
+    // page is an update
+    const track = (worker${ts(": ServiceWorker | null")}) => {
+      if (!worker) return;
+      const onStateChange = () => {
+        if (worker.state === "installed" && serviceWorker.controller) {
+          setWaiting(worker);
+        }
+      };
+      worker.addEventListener("statechange", onStateChange);
+      onStateChange();
+    };
+    const onUpdateFound = () => track(registration${
+      typescript ? "?.installing ?? null" : "?.installing"
+    });
+    const onControllerChange = () => {
+      // Only reload for the update the user accepted, not the first install
+      if (confirmed.current) window.location.reload();
+    };
+
+    serviceWorker.ready.then((ready) => {
+      registration = ready;
+      track(ready.waiting);
+      ready.addEventListener("updatefound", onUpdateFound);
+    });
+    serviceWorker.addEventListener("controllerchange", onControllerChange);
+
+    return () => {
+      registration?.removeEventListener("updatefound", onUpdateFound);
+      serviceWorker.removeEventListener("controllerchange", onControllerChange);
+    };
+  }, []);
+
+  if (!waiting) return null;
+
+  const update = () => {
+    confirmed.current = true;
+    waiting.postMessage({ type: "SKIP_WAITING" });
+  };
+
+  return (
+    <div
+      role="status"
+      style={{
+        position: "fixed",
+        left: "50%",
+        bottom: "calc(1rem + env(safe-area-inset-bottom))",
+        zIndex: 1000,
+        transform: "translateX(-50%)",
+        display: "flex",
+        alignItems: "center",
+        gap: "1rem",
+        padding: "0.75rem 1rem",
+        borderRadius: "0.5rem",
+        boxShadow: "0 4px 16px rgba(0, 0, 0, 0.2)",
+        background: ${JSON.stringify(backgroundColor)},
+        color: ${JSON.stringify(textColor)},
+        fontFamily: "system-ui, sans-serif",
+      }}
+    >
+      <span>A new version is available.</span>
+      <button
+        type="button"
+        onClick={update}
+        style={{
+          padding: "0.5rem 1rem",
+          border: "none",
+          borderRadius: "0.375rem",
+          background: ${JSON.stringify(themeColor)},
+          color: ${JSON.stringify(getTextColor(themeColor))},
+          font: "inherit",
+          cursor: "pointer",
+        }}
+      >
+        Reload
+      </button>
+      <button
+        type="button"
+        onClick={() => setWaiting(null)}
+        style={{
+          padding: "0.5rem",
+          border: "none",
+          background: "none",
+          color: "inherit",
+          font: "inherit",
+          cursor: "pointer",
+        }}
+      >
+        Later
+      </button>
+    </div>
+  );
+}
+`;
+}
+
+// The hook and components to scaffold. The update toast needs a service
+// worker, so it's left out of manifest-only setups.
+function getComponents({
+  structure,
+  typescript,
+  serviceWorker,
+  name,
+  themeColor,
+  backgroundColor,
+}) {
+  const dir = getComponentsDir(structure);
+  const options = {
+    structure,
+    typescript,
+    name,
+    themeColor,
+    backgroundColor,
+  };
+  const ext = typescript ? ".ts" : ".js";
+  const jsxExt = typescript ? ".tsx" : ".jsx";
+
+  return [
+    {
+      name: "usePwaInstall",
+      file: path.join(dir, `usePwaInstall${ext}`),
+      content: createUsePwaInstallSource(options),
+    },
+    {
+      name: "InstallButton",
+      file: path.join(dir, `InstallButton${jsxExt}`),
+      content: createInstallButtonSource(options),
+    },
+    ...(serviceWorker
+      ? [
+          {
+            name: "UpdateToast",
+            file: path.join(dir, `UpdateToast${jsxExt}`),
+            content: createUpdateToastSource(options),
+          },
+        ]
+      : []),
+  ];
+}
+
+// Files left from an earlier run are kept, whatever their extension.
+function findComponent(component) {
+  const base = component.file.slice(0, -path.extname(component.file).length);
+  return (
+    [".tsx", ".ts", ".jsx", ".js"]
+      .map((ext) => `${base}${ext}`)
+      .find((file) => fs.existsSync(file)) || null
+  );
+}
+
+// The file to render the components from, and the imports it needs, for
+// PWA_SETUP.md.
+function getComponentsUsage(structure, components) {
+  const target = structure.appDir
+    ? path.join(structure.appDir, "layout")
+    : path.join(structure.pagesDir, "_app");
+  const imports = components
+    .filter((component) => component.name !== "usePwaInstall")
+    .map((component) => {
+      const file = path
+        .relative(path.dirname(target), component.file)
+        .split(path.sep)
+        .join("/")
+        .replace(/\.[jt]sx?$/, "");
+      const from = file.startsWith(".") ? file : `./${file}`;
+      return `import { ${component.name} } from "${from}";`;
+    });
+  return { target, imports };
+}
+
+module.exports = {
+  getComponentsDir,
+  getComponents,
+  findComponent,
+  getComponentsUsage,
+};
@@ -0,0 +1,36 @@
+const os = require("os");
+
+const DEFAULT_CONCURRENCY = Math.max(1, Math.min(4, os.cpus().length));
+
+// Maps over `items` running at most `limit` calls at a time, in order of the
+// items. Stops starting new calls once one has failed, and waits for the
+// running ones to settle before rethrowing, so none of them writes after
+// the caller has rolled back.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  let firstError;
+
+  async function work() {
+    while (!failed && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        if (!failed) firstError = error;
+        failed = true;
+      }
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, work));
+  if (failed) throw firstError;
+  return results;
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  mapWithConcurrency,
+};
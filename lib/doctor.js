@@ -0,0 +1,354 @@
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { readIcoSizes } = require("./ico");
+const { findNextConfig, inspectNextConfig } = require("./next-config");
+const { findMetadataTargets } = require("./layout");
+const { detectStructure } = require("./project");
+const {
+  MANIFEST_FILE,
+  MANIFEST_URLS,
+  DISPLAY_MODES,
+  findManifestRoute,
+  readManifestRoute,
+} = require("./manifest");
+
+const FORMAT_TYPES = {
+  png: ["image/png"],
+  jpeg: ["image/jpeg", "image/jpg"],
+  webp: ["image/webp"],
+  gif: ["image/gif"],
+  svg: ["image/svg+xml"],
+  avif: ["image/avif"],
+  heif: ["image/avif", "image/heif"],
+  ico: ["image/x-icon", "image/vnd.microsoft.icon"],
+};
+
+// Collects pass/warn/fail results for one report group.
+function createGroup(name) {
+  const results = [];
+  const add = (status) => (message) => results.push({ status, message });
+  return {
+    name,
+    results,
+    pass: add("pass"),
+    warn: add("warn"),
+    fail: add("fail"),
+  };
+}
+
+function parseSizes(sizes) {
+  if (!sizes || sizes === "any") return [];
+  return String(sizes)
+    .trim()
+    .split(/\s+/)
+    .map((size) => {
+      const [width, height] = size.toLowerCase().split("x").map(Number);
+      return { width, height };
+    });
+}
+
+function getPurposes(icon) {
+  return String(icon.purpose || "any")
+    .trim()
+    .split(/\s+/);
+}
+
+function resolvePath(url, base) {
+  return new URL(url, base).pathname;
+}
+
+function checkManifestFields(manifest, group) {
+  if (manifest.name || manifest.short_name) {
+    group.pass(`name: ${manifest.name || manifest.short_name}`);
+  } else {
+    group.fail("name or short_name is required");
+  }
+
+  if (manifest.short_name && manifest.short_name.length > 12) {
+    group.warn(
+      `short_name "${manifest.short_name}" is longer than 12 characters and may be truncated on home screens`
+    );
+  }
+
+  if (!manifest.display) {
+    group.warn('display is missing, browsers default to "browser"');
+  } else if (!DISPLAY_MODES.includes(manifest.display)) {
+    group.fail(
+      `display "${manifest.display}" must be one of ${DISPLAY_MODES.join(", ")}`
+    );
+  } else if (manifest.display === "browser") {
+    group.warn('display "browser" makes the app not installable');
+  } else {
+    group.pass(`display: ${manifest.display}`);
+  }
+
+  for (const field of ["theme_color", "background_color"]) {
+    if (manifest[field]) {
+      group.pass(`${field}: ${manifest[field]}`);
+    } else {
+      group.warn(`${field} is missing`);
+    }
+  }
+
+  if (!manifest.start_url) {
+    group.warn("start_url is missing, the manifest URL's directory is used");
+    return;
+  }
+
+  // Resolve against a placeholder origin, only the paths matter here
+  const base = "https://app.invalid/manifest.json";
+  try {
+    const startPath = resolvePath(manifest.start_url, base);
+    const scopePath = resolvePath(manifest.scope || "./", base);
+    if (startPath.startsWith(scopePath)) {
+      group.pass(
+        `start_url ${manifest.start_url} is within scope ${scopePath}`
+      );
+    } else {
+      group.fail(
+        `start_url ${manifest.start_url} is outside scope ${scopePath}`
+      );
+    }
+  } catch (error) {
+    group.fail(`start_url or scope is not a valid URL: ${error.message}`);
+  }
+}
+
+function checkIconCoverage(icons, group) {
+  const anyIcons = icons.filter((icon) => getPurposes(icon).includes("any"));
+  for (const required of [192, 512]) {
+    const found = anyIcons.some((icon) =>
+      parseSizes(icon.sizes).some(
+        ({ width, height }) => width === required && height === required
+      )
+    );
+    if (found) {
+      group.pass(`has a ${required}x${required} icon`);
+    } else {
+      group.fail(`needs a ${required}x${required} icon with purpose "any"`);
+    }
+  }
+
+  if (icons.some((icon) => getPurposes(icon).includes("maskable"))) {
+    group.pass("has a maskable icon");
+  } else {
+    group.warn("no maskable icon, Android will shrink the icon onto a plate");
+  }
+
+  const combined = icons.filter((icon) => {
+    const purposes = getPurposes(icon);
+    return purposes.includes("any") && purposes.includes("maskable");
+  });
+  if (combined.length > 0) {
+    group.warn(
+      `${combined.length} icon(s) use purpose "any maskable", use separate icons so the "any" version isn't padded`
+    );
+  }
+}
+
+async function readImageInfo(file) {
+  const buffer = fs.readFileSync(file);
+  if (path.extname(file).toLowerCase() === ".ico") {
+    return { format: "ico", sizes: readIcoSizes(buffer) };
+  }
+  const metadata = await sharp(buffer).metadata();
+  return {
+    format: metadata.format,
+    sizes: [{ width: metadata.width, height: metadata.height }],
+  };
+}
+
+async function checkIconFile(icon, group) {
+  if (!icon.src) {
+    group.fail("an icon has no src");
+    return;
+  }
+  if (/^[a-z]+:/i.test(icon.src)) {
+    group.warn(`${icon.src} is not a local file, skipped`);
+    return;
+  }
+
+  const file = path.join(
+    "public",
+    icon.src.split(/[?#]/)[0].replace(/^\//, "")
+  );
+  if (!fs.existsSync(file)) {
+    group.fail(`${icon.src} does not exist (expected ${file})`);
+    return;
+  }
+
+  let info;
+  try {
+    info = await readImageInfo(file);
+  } catch (error) {
+    group.fail(`${icon.src} could not be read: ${error.message}`);
+    return;
+  }
+
+  const problems = [];
+  const declared = parseSizes(icon.sizes);
+  const missing = declared.filter(
+    ({ width, height }) =>
+      info.format !== "svg" &&
+      !info.sizes.some((size) => size.width === width && size.height === height)
+  );
+  if (missing.length > 0) {
+    problems.push(
+      `declares ${icon.sizes} but is ${info.sizes
+        .map(({ width, height }) => `${width}x${height}`)
+        .join(" ")}`
+    );
+  }
+
+  const types = FORMAT_TYPES[info.format] || [];
+  if (icon.type && !types.includes(icon.type)) {
+    problems.push(`declares type ${icon.type} but is ${info.format}`);
+  }
+
+  if (problems.length > 0) {
+    group.fail(`${icon.src} ${problems.join(", ")}`);
+  } else {
+    group.pass(`${icon.src} (${icon.sizes || "any"}, ${info.format})`);
+  }
+}
+
+async function checkManifest(structure) {
+  const manifestGroup = createGroup("Manifest");
+  const iconsGroup = createGroup("Icons");
+
+  const route = findManifestRoute(structure && structure.appDir);
+  if (route && fs.existsSync(MANIFEST_FILE)) {
+    manifestGroup.warn(
+      `both ${route} and ${MANIFEST_FILE} exist, Next.js links ${route} so ${MANIFEST_FILE} is stale`
+    );
+  }
+
+  let manifest;
+  if (route) {
+    try {
+      manifest = readManifestRoute(fs.readFileSync(route, "utf8"), route);
+    } catch (error) {
+      manifestGroup.fail(`${route} could not be parsed: ${error.message}`);
+      return [manifestGroup];
+    }
+    if (!manifest) {
+      manifestGroup.warn(
+        `${route} builds the manifest at runtime, check ${MANIFEST_URLS.route} on a running app`
+      );
+      return [manifestGroup];
+    }
+    manifestGroup.pass(`${route} returns the manifest`);
+  } else if (!fs.existsSync(MANIFEST_FILE)) {
+    manifestGroup.fail(`${MANIFEST_FILE} not found`);
+    return [manifestGroup];
+  } else {
+    try {
+      manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, "utf8"));
+      manifestGroup.pass(`${MANIFEST_FILE} is valid JSON`);
+    } catch (error) {
+      manifestGroup.fail(
+        `${MANIFEST_FILE} is not valid JSON: ${error.message}`
+      );
+      return [manifestGroup];
+    }
+  }
+
+  checkManifestFields(manifest, manifestGroup);
+
+  const icons = Array.isArray(manifest.icons) ? manifest.icons : [];
+  if (icons.length === 0) {
+    manifestGroup.fail("icons is missing or empty");
+    return [manifestGroup];
+  }
+  checkIconCoverage(icons, manifestGroup);
+
+  for (const icon of icons) {
+    await checkIconFile(icon, iconsGroup);
+  }
+
+  return [manifestGroup, iconsGroup];
+}
+
+function checkNextConfig() {
+  const group = createGroup("Next.js config");
+  const file = findNextConfig();
+  if (!file) {
+    group.warn(
+      "no next.config.* found, so there's no service worker (fine for a manifest-only setup)"
+    );
+    return group;
+  }
+
+  try {
+    const { hasPlugin, wrapped } = inspectNextConfig(
+      fs.readFileSync(file, "utf8"),
+      file
+    );
+    if (!hasPlugin) {
+      group.warn(
+        `${file} does not import a PWA plugin, so there's no service worker (fine for a manifest-only setup)`
+      );
+    } else if (!wrapped) {
+      group.warn(
+        `${file} imports a PWA plugin but its exported config doesn't look wrapped with it`
+      );
+    } else {
+      group.pass(`${file} wraps the config with a PWA plugin`);
+    }
+  } catch (error) {
+    group.fail(error.message);
+  }
+  return group;
+}
+
+function checkLayout(structure) {
+  const group = createGroup("Layout");
+  const targets = findMetadataTargets(structure).filter(
+    (target) => target.exists
+  );
+  const route = findManifestRoute(structure && structure.appDir);
+
+  if (targets.length === 0) {
+    group.fail(
+      "no app/layout or pages/_document found to reference the manifest"
+    );
+    return group;
+  }
+
+  for (const target of targets) {
+    const source = fs.readFileSync(target.file, "utf8");
+    const referencesManifest =
+      /\bmanifest\s*:\s*["'`]/.test(source) ||
+      /rel=["']manifest["']/.test(source);
+
+    if (route && target.type === "layout") {
+      group.pass(`${target.file} gets the manifest link from ${route}`);
+    } else if (referencesManifest) {
+      group.pass(`${target.file} references the manifest`);
+    } else {
+      group.fail(`${target.file} does not reference the manifest`);
+    }
+
+    if (/apple-touch-icon|\bapple\s*:/.test(source)) {
+      group.pass(`${target.file} sets an Apple touch icon`);
+    } else {
+      group.warn(`${target.file} has no Apple touch icon`);
+    }
+  }
+  return group;
+}
+
+// Read-only audit of an existing PWA setup. Returns groups of
+// { status: "pass" | "warn" | "fail", message } results.
+async function runDoctor() {
+  const structure = detectStructure();
+  const groups = [
+    ...(await checkManifest(structure)),
+    checkNextConfig(),
+    checkLayout(structure),
+  ];
+  return groups.map(({ name, results }) => ({ name, results }));
+}
+
+module.exports = { runDoctor };
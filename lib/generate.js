@@ -0,0 +1,449 @@
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const {
+  TILE_LOGO_RATIO,
+  getAssetRegistry,
+  createBrowserconfig,
+} = require("./assets");
+const { encodeIco } = require("./ico");
+const {
+  TRANSPARENT,
+  DEFAULT_MASKABLE_PADDING,
+  loadLogo,
+  renderMonochromeIcon,
+  renderPinnedTabIcon,
+  renderSchemeFavicon,
+  renderMaskableIcon,
+  renderMaskablePreview,
+  renderSplashScreen,
+  renderSocialImage,
+} = require("./images");
+const { DEFAULT_SPLASH_LOGO_RATIO } = require("./splash");
+const {
+  resolveOutputOptions,
+  getAssetOutput,
+  encodeImage,
+  stripSvgMetadata,
+} = require("./output");
+const { resolveBudget, createSizeReport } = require("./size-report");
+const { createWriter } = require("./writer");
+const { detectStructure } = require("./project");
+const {
+  ASSET_LOCK_FILE,
+  hashFile,
+  createAssetLock,
+  readAssetLock,
+  getAssetKey,
+  isAssetUpToDate,
+  recordAsset,
+  carryOverAsset,
+} = require("./asset-lock");
+const { DEFAULT_CONCURRENCY, mapWithConcurrency } = require("./concurrency");
+
+const MASKABLE_PREVIEW_FILE = path.join(".simple-pwa", "maskable-preview.png");
+const ROOT_FAVICON_FILE = path.join("public", "favicon.ico");
+
+// Screenshots are photos of the app, re-encoding them for the metadata
+// shouldn't visibly change them
+const SCREENSHOT_QUALITY = 90;
+
+// Roles only the CLI renders, the web tool doesn't make them
+const LOGO_ONLY_ROLES = ["monochrome", "mask-icon", "tile"];
+
+// URLs of the files in a directory under public/.
+function getAssetUrl(outputDir) {
+  const base = path.relative("public", outputDir).split(path.sep).join("/");
+  return (file) => path.posix.join("/", base, file);
+}
+
+// Renders one registry entry from the source logo, or from the entry's own
+// source image when it has one. Dark splash screens use `options.darkImage`.
+// Images are encoded in the entry's format with its group's output options.
+async function renderAsset(sourceImage, asset, options) {
+  const output = options.output || resolveOutputOptions();
+  if (asset.role === "screenshot") {
+    return output.stripMetadata
+      ? encodeImage(sharp(asset.source), asset.format, {
+          quality: SCREENSHOT_QUALITY,
+        })
+      : fs.readFileSync(asset.source);
+  }
+  if (asset.format === "xml") {
+    return createBrowserconfig(
+      options.assets,
+      options.assetUrl,
+      options.tileColor
+    );
+  }
+  if (asset.role === "favicon" && asset.format === "svg") {
+    return renderSchemeFavicon(sourceImage, options.darkImage);
+  }
+  if (asset.format === "svg") {
+    const svg = await renderPinnedTabIcon(sourceImage);
+    return output.stripMetadata ? stripSvgMetadata(svg) : svg;
+  }
+
+  if (asset.format === "ico") {
+    const images = await Promise.all(
+      asset.images.map(async (size) => {
+        const { data, info } = await sourceImage
+          .resize(size, size)
+          .ensureAlpha()
+          .raw()
+          .toBuffer({ resolveWithObject: true });
+        return { width: info.width, height: info.height, data };
+      })
+    );
+    return encodeIco(images);
+  }
+
+  let image;
+  if (asset.role === "shortcut" && asset.source) {
+    image = (await loadLogo(asset.source)).resize(asset.width, asset.height);
+  } else if (asset.role === "maskable") {
+    image = await renderMaskableIcon(sourceImage, asset.width, {
+      background: options.maskableBackground,
+      padding: options.maskablePadding,
+    });
+  } else if (asset.role === "monochrome") {
+    image = await renderMonochromeIcon(sourceImage, asset.width);
+  } else if (asset.role === "tile") {
+    image = await renderSplashScreen(sourceImage, asset.width, asset.height, {
+      background: TRANSPARENT,
+      logoRatio: TILE_LOGO_RATIO,
+    });
+  } else if (asset.role === "splash") {
+    const dark = asset.scheme === "dark";
+    image = await renderSplashScreen(
+      dark ? options.darkImage : sourceImage,
+      asset.width,
+      asset.height,
+      {
+        background: dark
+          ? options.darkSplashBackground
+          : options.splashBackground,
+        logoRatio: options.splashLogoRatio,
+      }
+    );
+  } else if (asset.role === "social") {
+    image = await renderSocialImage(
+      sourceImage,
+      asset.width,
+      asset.height,
+      options.social
+    );
+  } else {
+    image = sourceImage.resize(asset.width, asset.height);
+  }
+  return encodeImage(image, asset.format, getAssetOutput(asset, output));
+}
+
+// The options a registry entry's output depends on, so changing one only
+// regenerates the files that use it.
+function getRenderSettings(asset, options) {
+  const output = getAssetOutput(asset, options.output);
+  if (asset.role === "maskable") {
+    return {
+      maskableBackground: options.maskableBackground,
+      maskablePadding: options.maskablePadding,
+      output,
+    };
+  }
+  if (asset.role === "splash") {
+    return {
+      splashBackground:
+        asset.scheme === "dark"
+          ? options.darkSplashBackground
+          : options.splashBackground,
+      splashLogoRatio: options.splashLogoRatio,
+      output,
+    };
+  }
+  if (asset.role === "social") return { social: options.social, output };
+  if (asset.role === "screenshot" || asset.role === "mask-icon") {
+    return { stripMetadata: options.output.stripMetadata };
+  }
+  if (asset.format === "xml") {
+    return {
+      tileColor: options.tileColor,
+      assetUrl: options.assetUrl && options.assetUrl(""),
+    };
+  }
+  return Object.keys(output).length > 0 ? { output } : {};
+}
+
+// The options every renderer reads, from the app details and overrides.
+function getRenderOptions(options) {
+  const { name, description = "", themeColor, backgroundColor } = options;
+  return {
+    assets: options.assets,
+    assetUrl: options.assetUrl,
+    maskableBackground: options.maskableBackground || backgroundColor,
+    maskablePadding: options.maskablePadding ?? DEFAULT_MASKABLE_PADDING,
+    splashBackground: backgroundColor,
+    darkSplashBackground: options.darkBackgroundColor || backgroundColor,
+    splashLogoRatio: options.splashLogoRatio ?? DEFAULT_SPLASH_LOGO_RATIO,
+    social: {
+      template: options.socialTemplate || "centered",
+      name,
+      description,
+      themeColor,
+      backgroundColor,
+    },
+    tileColor: themeColor,
+    output: resolveOutputOptions(options.output),
+  };
+}
+
+// Legacy browsers and Windows request /favicon.ico without reading the
+// head, so the generated ICO is copied to public/ as well and recorded in
+// the lock. In the App Router an app/favicon.ico already serves that URL
+// and Next.js fails on both, so that one is left in place with a warning
+// instead. A public/favicon.ico the last run didn't write is replaced with
+// a warning, undo brings it back.
+function copyRootFavicon(writer, outputDir, { lock, warnings }) {
+  const source = path.join(outputDir, "favicon.ico");
+  if (path.normalize(source) === ROOT_FAVICON_FILE || !writer.exists(source)) {
+    return;
+  }
+
+  const structure = detectStructure();
+  const appFavicon =
+    structure && structure.appDir && path.join(structure.appDir, "favicon.ico");
+  if (appFavicon && fs.existsSync(appFavicon)) {
+    warnings.push(
+      `${appFavicon} serves /favicon.ico instead of the generated one, replace it with ${source} to use the new icon there`
+    );
+    return;
+  }
+
+  const content = writer.readFile(source);
+  // The lock on disk is still the last run's
+  const previousLock = readAssetLock(writer);
+  const ours = previousLock && previousLock.assets["public/favicon.ico"];
+  if (
+    !ours &&
+    writer.exists(ROOT_FAVICON_FILE) &&
+    !writer.readFile(ROOT_FAVICON_FILE).equals(content)
+  ) {
+    warnings.push(
+      `Replaced ${ROOT_FAVICON_FILE} with the generated favicon, served at /favicon.ico`
+    );
+  }
+  writer.writeFile(ROOT_FAVICON_FILE, content);
+  recordAsset(lock, ROOT_FAVICON_FILE, { key: "root-favicon", content });
+}
+
+// Renders the asset registry from a logo into `outputDir`, skipping the
+// files .simple-pwa/assets-lock.json shows were rendered from the same
+// inputs. Nothing is printed, `onAsset` is called as each file is done.
+// Throws when the logo can't be used.
+//
+// `darkLogo` and `darkBackgroundColor` add the dark splash screens, and
+// `darkLogo` the SVG favicon, to the default registry. `output` sets the
+// formats and encoding of each group of images, see ./output. `report`
+// has the size of every file, generated or skipped, against `budget`.
+async function generateAssets(options) {
+  const {
+    logo,
+    darkLogo,
+    outputDir,
+    name,
+    themeColor,
+    backgroundColor,
+    force = false,
+    concurrency = DEFAULT_CONCURRENCY,
+    maskablePreview = false,
+    onAsset = () => {},
+  } = options;
+  if (!logo || !outputDir) {
+    throw new Error("generateAssets needs a logo and an outputDir");
+  }
+  if (!name || !themeColor || !backgroundColor) {
+    throw new Error(
+      "generateAssets needs the app name, themeColor and backgroundColor"
+    );
+  }
+  if (!fs.existsSync(logo)) throw new Error(`Logo not found: ${logo}`);
+  if (darkLogo && !fs.existsSync(darkLogo)) {
+    throw new Error(`Dark logo not found: ${darkLogo}`);
+  }
+
+  const writer = options.writer || createWriter({ dryRun: options.dryRun });
+  const assets =
+    options.assets ||
+    getAssetRegistry({
+      darkLogo,
+      darkBackgroundColor: options.darkBackgroundColor,
+      output: options.output,
+    });
+  const budget = resolveBudget(options.budget);
+  const renderOptions = getRenderOptions({
+    ...options,
+    assets,
+    assetUrl: options.assetUrl || getAssetUrl(outputDir),
+  });
+  const warnings = [];
+  if (renderOptions.maskablePadding < DEFAULT_MASKABLE_PADDING - 1e-9) {
+    warnings.push(
+      `A maskable padding of ${
+        renderOptions.maskablePadding
+      } lets the corners of the logo's box leave the safe zone, launchers may crop logos that fill it. Use ${DEFAULT_MASKABLE_PADDING.toFixed(
+        2
+      )} or more for square logos`
+    );
+  }
+
+  // Read the source images, SVG logos are rendered at every size
+  const sourceImage = await loadLogo(logo);
+  const darkImage = darkLogo ? await loadLogo(darkLogo) : sourceImage;
+  renderOptions.darkImage = darkImage;
+
+  // Check if the images are large enough
+  for (const [label, image] of [
+    ["Source image", sourceImage],
+    ["Dark logo", darkImage],
+  ]) {
+    const { width, height } = image.metadata;
+    if (!image.vector && (width < 512 || height < 512)) {
+      throw new Error(`${label} should be at least 512x512 pixels`);
+    }
+  }
+  if ((await sharp(logo).stats()).isOpaque) {
+    warnings.push(
+      "The logo has no transparency, so the monochrome icon and Safari pinned tab icon will be solid squares"
+    );
+  }
+
+  writer.mkdir(outputDir);
+
+  // Generate every file in the asset registry, skipping the ones the lock
+  // shows were rendered from the same inputs
+  const settings = Object.assign(
+    {},
+    ...assets.map((asset) => getRenderSettings(asset, renderOptions)),
+    { output: renderOptions.output }
+  );
+  const logoHash = hashFile(logo);
+  const darkLogoHash = darkLogo ? hashFile(darkLogo) : logoHash;
+  const getSourceHash = (asset) => {
+    if (asset.source) return hashFile(asset.source);
+    if (asset.role === "favicon" && asset.format === "svg") {
+      return `${logoHash}:${darkLogoHash}`;
+    }
+    return asset.scheme === "dark" ? darkLogoHash : logoHash;
+  };
+  const previousLock = force ? null : readAssetLock(writer);
+  const lock = createAssetLock({
+    source: { hash: logoHash, darkHash: darkLogo ? darkLogoHash : undefined },
+    settings,
+  });
+
+  const started = Date.now();
+  const results = await mapWithConcurrency(
+    assets,
+    concurrency,
+    async (asset) => {
+      const file = path.join(outputDir, asset.name);
+      const key = getAssetKey(asset, {
+        sourceHash: getSourceHash(asset),
+        settings: getRenderSettings(asset, renderOptions),
+      });
+      if (isAssetUpToDate(previousLock, file, key, writer)) {
+        carryOverAsset(lock, previousLock, file);
+        const result = {
+          name: asset.name,
+          file,
+          skipped: true,
+          bytes: writer.readFile(file).length,
+        };
+        onAsset(result);
+        return result;
+      }
+
+      const assetStarted = Date.now();
+      const content = await renderAsset(sourceImage, asset, renderOptions);
+      writer.writeFile(file, content);
+      recordAsset(lock, file, { key, content });
+      const result = {
+        name: asset.name,
+        file,
+        skipped: false,
+        bytes: content.length,
+        time: Date.now() - assetStarted,
+      };
+      onAsset(result);
+      return result;
+    }
+  );
+  if (assets.some((asset) => asset.name === "favicon.ico")) {
+    copyRootFavicon(writer, outputDir, { lock, warnings });
+  }
+  writer.writeFile(ASSET_LOCK_FILE, `${JSON.stringify(lock, null, 2)}\n`);
+
+  let previewFile = null;
+  const largest = assets
+    .filter((asset) => asset.role === "maskable")
+    .sort((a, b) => b.width - a.width)[0];
+  if (maskablePreview && largest) {
+    const preview = await renderMaskablePreview(
+      writer.readFile(path.join(outputDir, largest.name))
+    );
+    writer.writeFile(MASKABLE_PREVIEW_FILE, await preview.toBuffer());
+    previewFile = MASKABLE_PREVIEW_FILE;
+  }
+
+  const generated = results.filter((result) => !result.skipped);
+  return {
+    generated,
+    skipped: results.filter((result) => result.skipped),
+    bytes: generated.reduce((sum, result) => sum + result.bytes, 0),
+    duration: Date.now() - started,
+    previewFile,
+    warnings,
+    report: createSizeReport(assets, results, budget),
+  };
+}
+
+// Adds the files that don't need the logo, for when the assets are made
+// with the web tool: screenshots and shortcut icons with their own image.
+// Returns the registry without what the web tool doesn't make, so the
+// manifest and head only link files that will exist: the shortcut icons
+// that would have been rendered from the logo, the dark mode assets, the
+// monochrome and pinned tab icons, and the Windows tiles with their
+// browserconfig.xml.
+async function addAssetsWithoutLogo(options) {
+  const { outputDir, themeColor, onAsset = () => {} } = options;
+  const writer = options.writer || createWriter({ dryRun: options.dryRun });
+  const assets = (options.assets || getAssetRegistry()).filter(
+    (asset) =>
+      (asset.role !== "shortcut" || asset.source) &&
+      !LOGO_ONLY_ROLES.includes(asset.role) &&
+      asset.scheme !== "dark" &&
+      !(asset.role === "favicon" && asset.format === "svg")
+  );
+  const renderOptions = {
+    assets,
+    assetUrl: options.assetUrl || getAssetUrl(outputDir),
+    tileColor: themeColor,
+  };
+
+  writer.mkdir(outputDir);
+  for (const asset of assets.filter((asset) => asset.source)) {
+    const file = path.join(outputDir, asset.name);
+    const content = await renderAsset(null, asset, renderOptions);
+    writer.writeFile(file, content);
+    onAsset({ name: asset.name, file, skipped: false, bytes: content.length });
+  }
+  return assets;
+}
+
+module.exports = {
+  MASKABLE_PREVIEW_FILE,
+  ROOT_FAVICON_FILE,
+  getAssetUrl,
+  renderAsset,
+  generateAssets,
+  addAssetsWithoutLogo,
+};
@@ -0,0 +1,111 @@
+// Minimal ICO encoder. Each image is stored as an uncompressed 32-bit BMP with
+// an AND mask, which every Windows version and legacy browser can read.
+
+const ICONDIR_SIZE = 6;
+const ICONDIRENTRY_SIZE = 16;
+const BITMAPINFOHEADER_SIZE = 40;
+
+function getMaskRowSize(width) {
+  // 1 bit per pixel, rows padded to 32 bits
+  return Math.ceil(width / 32) * 4;
+}
+
+function encodeBitmap({ width, height, data }) {
+  const pixelBytes = width * height * 4;
+  const maskRowSize = getMaskRowSize(width);
+  const maskBytes = maskRowSize * height;
+  const buffer = Buffer.alloc(BITMAPINFOHEADER_SIZE + pixelBytes + maskBytes);
+
+  buffer.writeUInt32LE(BITMAPINFOHEADER_SIZE, 0);
+  buffer.writeInt32LE(width, 4);
+  // Height covers both the color bitmap and the AND mask
+  buffer.writeInt32LE(height * 2, 8);
+  buffer.writeUInt16LE(1, 12);
+  buffer.writeUInt16LE(32, 14);
+  buffer.writeUInt32LE(0, 16);
+  buffer.writeUInt32LE(pixelBytes + maskBytes, 20);
+
+  const maskOffset = BITMAPINFOHEADER_SIZE + pixelBytes;
+  for (let y = 0; y < height; y++) {
+    // Bitmaps are stored bottom-up
+    const row = height - 1 - y;
+    for (let x = 0; x < width; x++) {
+      const source = (y * width + x) * 4;
+      const target = BITMAPINFOHEADER_SIZE + (row * width + x) * 4;
+      const alpha = data[source + 3];
+
+      buffer[target] = data[source + 2];
+      buffer[target + 1] = data[source + 1];
+      buffer[target + 2] = data[source];
+      buffer[target + 3] = alpha;
+
+      if (alpha === 0) {
+        const maskByte = maskOffset + row * maskRowSize + (x >> 3);
+        buffer[maskByte] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  return buffer;
+}
+
+// Encodes raw RGBA images ({ width, height, data }) into a single .ico file.
+function encodeIco(images) {
+  const bitmaps = images.map((image) => {
+    if (image.width > 256 || image.height > 256) {
+      throw new Error("ICO images can be at most 256x256 pixels");
+    }
+    if (image.data.length !== image.width * image.height * 4) {
+      throw new Error("ICO images must be raw RGBA data");
+    }
+    return encodeBitmap(image);
+  });
+
+  const header = Buffer.alloc(ICONDIR_SIZE + ICONDIRENTRY_SIZE * images.length);
+  header.writeUInt16LE(0, 0);
+  header.writeUInt16LE(1, 2);
+  header.writeUInt16LE(images.length, 4);
+
+  let offset = header.length;
+  images.forEach((image, index) => {
+    const entry = ICONDIR_SIZE + ICONDIRENTRY_SIZE * index;
+    // 0 means 256 pixels
+    header.writeUInt8(image.width % 256, entry);
+    header.writeUInt8(image.height % 256, entry + 1);
+    header.writeUInt8(0, entry + 2);
+    header.writeUInt8(0, entry + 3);
+    header.writeUInt16LE(1, entry + 4);
+    header.writeUInt16LE(32, entry + 6);
+    header.writeUInt32LE(bitmaps[index].length, entry + 8);
+    header.writeUInt32LE(offset, entry + 12);
+    offset += bitmaps[index].length;
+  });
+
+  return Buffer.concat([header, ...bitmaps]);
+}
+
+// Reads the image sizes listed in an ICO file's directory.
+function readIcoSizes(buffer) {
+  if (
+    buffer.length < ICONDIR_SIZE ||
+    buffer.readUInt16LE(0) !== 0 ||
+    buffer.readUInt16LE(2) !== 1
+  ) {
+    throw new Error("Not an ICO file");
+  }
+
+  const count = buffer.readUInt16LE(4);
+  if (buffer.length < ICONDIR_SIZE + ICONDIRENTRY_SIZE * count) {
+    throw new Error("Truncated ICO file");
+  }
+
+  return Array.from({ length: count }, (_, index) => {
+    const entry = ICONDIR_SIZE + ICONDIRENTRY_SIZE * index;
+    return {
+      width: buffer.readUInt8(entry) || 256,
+      height: buffer.readUInt8(entry + 1) || 256,
+    };
+  });
+}
+
+module.exports = { encodeIco, readIcoSizes };
@@ -0,0 +1,442 @@
+const fs = require("fs");
+const sharp = require("sharp");
+
+const TRANSPARENT = { r: 255, g: 255, b: 255, alpha: 0 };
+
+// libvips renders SVGs at 72 DPI by default
+const SVG_DENSITY = 72;
+const MAX_DENSITY = 100000;
+
+// Resolution of the silhouette traced into safari-pinned-tab.svg for raster
+// logos
+const PINNED_TAB_GRID = 128;
+
+// Size raster logos are embedded at in favicon.svg, enough for a 32px
+// favicon on a 3x screen
+const SCHEME_FAVICON_SIZE = 96;
+
+// Android masks maskable icons down to a circle of 80% of the icon size. The
+// default padding fits the logo's box inside that circle, corners included,
+// so launchers never crop a square logo.
+const MASKABLE_SAFE_ZONE = 0.8;
+const DEFAULT_MASKABLE_PADDING = (1 - MASKABLE_SAFE_ZONE / Math.SQRT2) / 2;
+
+// Opens a logo for rendering at many sizes. Raster logos are decoded once and
+// resized, SVG logos are rasterized again for each size at the density that
+// renders them at that size, so small icons stay sharp and large ones aren't
+// upscaled from a small bitmap.
+async function loadLogo(file) {
+  const image = sharp(file);
+  const metadata = await image.metadata();
+  const vector = metadata.format === "svg";
+
+  return {
+    file,
+    metadata,
+    vector,
+    resize(width, height) {
+      width = Math.max(1, width);
+      height = Math.max(1, height);
+      const source = vector
+        ? sharp(file, {
+            density: Math.min(
+              MAX_DENSITY,
+              SVG_DENSITY *
+                Math.min(width / metadata.width, height / metadata.height)
+            ),
+          })
+        : image.clone();
+      return source.resize(width, height, {
+        fit: "contain",
+        background: TRANSPARENT,
+      });
+    },
+  };
+}
+
+function resizeLogo(source, width, height) {
+  return source.resize(width, height).png().toBuffer();
+}
+
+// Renders the logo's shape in a single color. Browsers only use the alpha
+// channel of monochrome icons, so this relies on the logo's transparency.
+async function renderMonochromeIcon(source, size) {
+  const alpha = await source
+    .resize(size, size)
+    .ensureAlpha()
+    .extractChannel(3)
+    .raw()
+    .toBuffer();
+
+  return sharp({
+    create: { width: size, height: size, channels: 3, background: "#000000" },
+  })
+    .joinChannel(alpha, { raw: { width: size, height: size, channels: 1 } })
+    .png();
+}
+
+// Safari pinned tab icons are single color vectors. SVG logos are recolored
+// to black, raster logos are traced from a silhouette of their alpha channel.
+async function renderPinnedTabIcon(source) {
+  if (source.vector) {
+    return fs
+      .readFileSync(source.file, "utf8")
+      .replace(
+        /\b(fill|stroke)=(["'])(?!none\2)[^"']*\2/g,
+        (_, attribute, quote) => `${attribute}=${quote}#000000${quote}`
+      )
+      .replace(/\b(fill|stroke)\s*:\s*(?!none)[^;"'}]+/g, "$1:#000000");
+  }
+
+  const size = PINNED_TAB_GRID;
+  const alpha = await source
+    .resize(size, size)
+    .ensureAlpha()
+    .extractChannel(3)
+    .raw()
+    .toBuffer();
+
+  // One rectangle per horizontal run of opaque pixels
+  let shape = "";
+  for (let y = 0; y < size; y++) {
+    let x = 0;
+    while (x < size) {
+      if (alpha[y * size + x] < 128) {
+        x++;
+        continue;
+      }
+      const start = x;
+      while (x < size && alpha[y * size + x] >= 128) x++;
+      shape += `M${start} ${y}h${x - start}v1h-${x - start}z`;
+    }
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}"><path d="${shape}"/></svg>
+`;
+}
+
+async function toDataUrl(source, size) {
+  if (source.vector) {
+    return `data:image/svg+xml;base64,${fs
+      .readFileSync(source.file)
+      .toString("base64")}`;
+  }
+  const png = await resizeLogo(source, size, size);
+  return `data:image/png;base64,${png.toString("base64")}`;
+}
+
+// An SVG favicon showing the light logo, or the dark one when the browser
+// prefers a dark color scheme. SVG logos are embedded as they are.
+async function renderSchemeFavicon(light, dark) {
+  const size = SCHEME_FAVICON_SIZE;
+  const image = async (className, source) =>
+    `<image class="${className}" width="${size}" height="${size}" href="${await toDataUrl(
+      source,
+      size
+    )}"/>`;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}">
+<style>
+.dark { display: none; }
+@media (prefers-color-scheme: dark) {
+  .light { display: none; }
+  .dark { display: inline; }
+}
+</style>
+${await image("light", light)}
+${await image("dark", dark)}
+</svg>
+`;
+}
+
+// Renders the logo centered on a solid background, inset by `padding` (a
+// ratio of the icon size) on every side.
+async function renderMaskableIcon(
+  source,
+  size,
+  { background, padding = DEFAULT_MASKABLE_PADDING }
+) {
+  const logoSize = Math.round(size * (1 - padding * 2));
+  const logo = await resizeLogo(source, logoSize, logoSize);
+
+  return sharp({
+    create: { width: size, height: size, channels: 4, background },
+  })
+    .composite([{ input: logo, gravity: "centre" }])
+    .png();
+}
+
+// Renders the logo centered on a solid background, sized to `logoRatio` of
+// the shorter side.
+async function renderSplashScreen(
+  source,
+  width,
+  height,
+  { background, logoRatio }
+) {
+  const logoSize = Math.round(Math.min(width, height) * logoRatio);
+  const logo = await resizeLogo(source, logoSize, logoSize);
+
+  return sharp({ create: { width, height, channels: 4, background } })
+    .composite([{ input: logo, gravity: "centre" }])
+    .png();
+}
+
+const SOCIAL_TEMPLATES = ["centered", "split", "gradient"];
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// Dark text on light backgrounds and light text on dark ones.
+function getTextColor(...backgrounds) {
+  const luminance =
+    backgrounds
+      .map(hexToRgb)
+      .map(([r, g, b]) => 0.2126 * r + 0.7152 * g + 0.0722 * b)
+      .reduce((sum, value) => sum + value, 0) / backgrounds.length;
+  return luminance > 150 ? "#111111" : "#ffffff";
+}
+
+// Breaks text into at most `maxLines` lines of roughly `maxChars` characters.
+function wrapText(text, maxChars, maxLines) {
+  const lines = [];
+  let line = "";
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const next = line ? `${line} ${word}` : word;
+    if (next.length > maxChars && line) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = next;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1]
+      .slice(0, maxChars - 1)
+      .trimEnd()}…`;
+    return kept;
+  }
+  return lines;
+}
+
+function renderTextBlock({ x, y, anchor, maxWidth, name, description, color }) {
+  const nameSize = Math.round(maxWidth / 14);
+  const descriptionSize = Math.round(nameSize * 0.5);
+  // Average glyph width of a sans-serif font is a bit over half its size
+  const nameLines = wrapText(name, Math.floor(maxWidth / (nameSize * 0.55)), 2);
+  const descriptionLines = wrapText(
+    description,
+    Math.floor(maxWidth / (descriptionSize * 0.5)),
+    3
+  );
+
+  const tspans = [
+    ...nameLines.map((line, index) => ({
+      line,
+      size: nameSize,
+      weight: 700,
+      dy: index === 0 ? 0 : nameSize * 1.15,
+    })),
+    ...descriptionLines.map((line, index) => ({
+      line,
+      size: descriptionSize,
+      weight: 400,
+      dy: index === 0 ? nameSize * 0.9 : descriptionSize * 1.35,
+    })),
+  ];
+
+  return `<text x="${x}" y="${y}" text-anchor="${anchor}" fill="${color}" font-family="Helvetica, Arial, sans-serif">${tspans
+    .map(
+      ({ line, size, weight, dy }) =>
+        `<tspan x="${x}" dy="${Math.round(
+          dy
+        )}" font-size="${size}" font-weight="${weight}">${escapeXml(
+          line
+        )}</tspan>`
+    )
+    .join("")}</text>`;
+}
+
+// Renders an Open Graph / Twitter card image from one of SOCIAL_TEMPLATES:
+// "centered" puts the logo above the text on the background color, "split"
+// puts the logo in a theme colored panel next to the text and "gradient"
+// centers both on a theme to background color gradient.
+async function renderSocialImage(
+  source,
+  width,
+  height,
+  { template = "centered", name, description, themeColor, backgroundColor }
+) {
+  if (!SOCIAL_TEMPLATES.includes(template)) {
+    throw new Error(
+      `Unknown social image template "${template}", expected one of ${SOCIAL_TEMPLATES.join(
+        ", "
+      )}`
+    );
+  }
+
+  let background;
+  let logo;
+  let text;
+
+  if (template === "split") {
+    const panel = Math.round(width * 0.4);
+    const logoSize = Math.round(Math.min(panel, height) * 0.6);
+    background = `<rect width="${width}" height="${height}" fill="${backgroundColor}" />
+      <rect width="${panel}" height="${height}" fill="${themeColor}" />`;
+    logo = {
+      size: logoSize,
+      left: Math.round((panel - logoSize) / 2),
+      top: Math.round((height - logoSize) / 2),
+    };
+    text = {
+      x: Math.round(panel + width * 0.06),
+      y: Math.round(height * 0.42),
+      anchor: "start",
+      maxWidth: Math.round(width - panel - width * 0.12),
+      color: getTextColor(backgroundColor),
+    };
+  } else {
+    const logoSize = Math.round(height * 0.34);
+    background =
+      template === "gradient"
+        ? `<defs><linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+            <stop offset="0" stop-color="${themeColor}" />
+            <stop offset="1" stop-color="${backgroundColor}" />
+          </linearGradient></defs>
+          <rect width="${width}" height="${height}" fill="url(#bg)" />`
+        : `<rect width="${width}" height="${height}" fill="${backgroundColor}" />`;
+    logo = {
+      size: logoSize,
+      left: Math.round((width - logoSize) / 2),
+      top: Math.round(height * 0.12),
+    };
+    text = {
+      x: Math.round(width / 2),
+      y: Math.round(height * 0.12 + logoSize + height * 0.14),
+      anchor: "middle",
+      maxWidth: Math.round(width * 0.8),
+      color:
+        template === "gradient"
+          ? getTextColor(themeColor, backgroundColor)
+          : getTextColor(backgroundColor),
+    };
+  }
+
+  const layout = Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      ${background}
+      ${renderTextBlock({ ...text, name, description })}
+    </svg>`
+  );
+  const logoImage = await resizeLogo(source, logo.size, logo.size);
+
+  return sharp(layout)
+    .composite([{ input: logoImage, left: logo.left, top: logo.top }])
+    .png();
+}
+
+function getSquirclePath(size, exponent = 5) {
+  const radius = size / 2;
+  const points = [];
+  for (let step = 0; step < 128; step++) {
+    const angle = (step / 128) * Math.PI * 2;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const x = Math.sign(cos) * Math.abs(cos) ** (2 / exponent);
+    const y = Math.sign(sin) * Math.abs(sin) ** (2 / exponent);
+    points.push(
+      `${(radius + x * radius).toFixed(2)},${(radius + y * radius).toFixed(2)}`
+    );
+  }
+  return `M${points.join("L")}Z`;
+}
+
+async function applyMask(icon, size, shape) {
+  const mask = Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">${shape}</svg>`
+  );
+  return sharp(icon)
+    .composite([{ input: mask, blend: "dest-in" }])
+    .png()
+    .toBuffer();
+}
+
+// Side-by-side preview of a maskable icon: the full icon with the safe zone
+// outlined, then the icon under a circle mask and a squircle mask.
+async function renderMaskablePreview(icon) {
+  const { width: size } = await sharp(icon).metadata();
+  const gap = Math.round(size / 8);
+  const half = size / 2;
+
+  const safeZone = Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">
+      <circle cx="${half}" cy="${half}" r="${(size * MASKABLE_SAFE_ZONE) / 2}"
+        fill="none" stroke="#ff0066" stroke-width="${Math.max(
+          1,
+          size / 128
+        )}" stroke-dasharray="${size / 32}" />
+    </svg>`
+  );
+  const outlined = await sharp(icon)
+    .composite([{ input: safeZone }])
+    .png()
+    .toBuffer();
+  const circle = await applyMask(
+    icon,
+    size,
+    `<circle cx="${half}" cy="${half}" r="${half}" />`
+  );
+  const squircle = await applyMask(
+    icon,
+    size,
+    `<path d="${getSquirclePath(size)}" />`
+  );
+
+  return sharp({
+    create: {
+      width: size * 3 + gap * 4,
+      height: size + gap * 2,
+      channels: 4,
+      background: "#eeeeee",
+    },
+  })
+    .composite(
+      [outlined, circle, squircle].map((input, index) => ({
+        input,
+        left: gap + index * (size + gap),
+        top: gap,
+      }))
+    )
+    .png();
+}
+
+module.exports = {
+  TRANSPARENT,
+  MASKABLE_SAFE_ZONE,
+  DEFAULT_MASKABLE_PADDING,
+  loadLogo,
+  resizeLogo,
+  renderMonochromeIcon,
+  renderPinnedTabIcon,
+  renderSchemeFavicon,
+  renderMaskableIcon,
+  renderMaskablePreview,
+  renderSplashScreen,
+  SOCIAL_TEMPLATES,
+  renderSocialImage,
+  getTextColor,
+};
@@ -0,0 +1,371 @@
+export type BackendName =
+  | "ducanh2912"
+  | "serwist"
+  | "next-pwa"
+  | "manifest-only";
+export type CachingHandler =
+  | "NetworkFirst"
+  | "StaleWhileRevalidate"
+  | "CacheFirst"
+  | "NetworkOnly"
+  | "CacheOnly";
+export type CachingPresetName = "api" | "pages" | "fonts" | "images" | "static";
+export type PackageManager = "npm" | "yarn" | "pnpm" | "bun";
+
+/** Writes files, or only records them when `dryRun` is set. */
+export interface Writer {
+  dryRun: boolean;
+  exists(file: string): boolean;
+  readFile(file: string, encoding?: string): any;
+  mkdir(dir: string): void;
+  writeFile(file: string, content: string | Uint8Array): void;
+}
+
+export interface Asset {
+  name: string;
+  width?: number;
+  height?: number;
+  format: string;
+  role: string;
+  purpose?: string;
+  references?: string[];
+  [key: string]: unknown;
+}
+
+export type AssetUrl = (file: string) => string;
+
+export interface Shortcut {
+  name: string;
+  url: string;
+  shortName?: string;
+  description?: string;
+  /** Image the 96x96 shortcut icon is rendered from, defaults to the logo. */
+  icon?: string;
+}
+
+export interface Screenshot {
+  src: string;
+  formFactor?: "narrow" | "wide";
+  label?: string;
+}
+
+export interface ManifestDetails {
+  id?: string;
+  startUrl?: string;
+  display?: "fullscreen" | "standalone" | "minimal-ui" | "browser";
+  /** An array or a comma-separated string. */
+  displayOverride?: string[] | string;
+  orientation?: string;
+  lang?: string;
+  dir?: "ltr" | "rtl" | "auto";
+  /** An array or a comma-separated string. */
+  categories?: string[] | string;
+  launchHandler?:
+    | "auto"
+    | "navigate-new"
+    | "navigate-existing"
+    | "focus-existing";
+  /** Objects or `Name=/url` strings. */
+  shortcuts?: Array<Shortcut | string>;
+  /** Objects or image paths. */
+  screenshots?: Array<Screenshot | string>;
+  shareTarget?: Record<string, unknown>;
+  protocolHandlers?: Array<{ protocol: string; url: string }>;
+  fileHandlers?: Array<{ action: string; accept: Record<string, string[]> }>;
+  /** Names and descriptions in other languages, keyed by locale. */
+  translations?: Record<
+    string,
+    { name?: string; short_name?: string; description?: string }
+  >;
+}
+
+export interface ResolvedManifestDetails
+  extends Omit<
+    ManifestDetails,
+    "displayOverride" | "categories" | "shortcuts" | "screenshots"
+  > {
+  displayOverride: string[];
+  categories: string[];
+  shortcuts: Shortcut[];
+  screenshots: Array<{
+    source: string;
+    width: number;
+    height: number;
+    format: string;
+    formFactor: "narrow" | "wide";
+    label?: string;
+  }>;
+}
+
+export interface OutputGroupOptions {
+  /** The format of the file that's linked, icons are always PNG. */
+  format?: "png" | "webp" | "jpeg";
+  /** Extra formats written next to it, only for social images. */
+  alternates?: Array<"webp" | "avif" | "jpeg">;
+  /** Quantize PNGs to a palette. */
+  palette?: boolean;
+  /** Colors in the palette, 2 to 256. */
+  colors?: number;
+  /** Encoder quality, 1 to 100. */
+  quality?: number;
+}
+
+export interface OutputOptions {
+  icons?: Omit<OutputGroupOptions, "format" | "alternates">;
+  /** Splash screens can be PNG or WebP. */
+  splash?: Omit<OutputGroupOptions, "alternates">;
+  social?: OutputGroupOptions;
+  /** Re-encode screenshots and clean SVGs copied as they are. Defaults to true. */
+  stripMetadata?: boolean;
+}
+
+/** Bytes, or sizes such as "500KB" and "2MB". */
+export type ByteSize = number | string;
+
+/** A total, or budgets per asset role plus an optional total. */
+export type Budget =
+  | ByteSize
+  | ({ total?: ByteSize } & Record<string, ByteSize>);
+
+export interface SizeReportRow {
+  role: string;
+  label: string;
+  files: number;
+  bytes: number;
+  budget?: number;
+}
+
+export interface SizeReport {
+  rows: SizeReportRow[];
+  total: SizeReportRow;
+  /** The rows, including the total, that are over their budget. */
+  exceeded: SizeReportRow[];
+}
+
+export interface GeneratedAsset {
+  name: string;
+  file: string;
+  skipped: boolean;
+  bytes?: number;
+  time?: number;
+}
+
+export interface WriteOptions {
+  /** Defaults to a writer that writes to disk, or only plans with `dryRun`. */
+  writer?: Writer;
+  dryRun?: boolean;
+}
+
+export interface GenerateAssetsOptions extends WriteOptions {
+  /** SVG, or a raster image of at least 512x512px. */
+  logo: string;
+  /** Adds dark splash screens and an SVG favicon that follows the color scheme. */
+  darkLogo?: string;
+  /** Directory under public/ the assets are written to. */
+  outputDir: string;
+  name: string;
+  description?: string;
+  themeColor: string;
+  backgroundColor: string;
+  /** Adds dark splash screens on this color. */
+  darkBackgroundColor?: string;
+  /** Defaults to `getAssetRegistry()` for the dark mode options. */
+  assets?: Asset[];
+  /** Defaults to the URLs of the files in `outputDir`. */
+  assetUrl?: AssetUrl;
+  /** Defaults to `backgroundColor`. */
+  maskableBackground?: string;
+  /** Defaults to about 0.22, which fits a square logo inside the safe zone. */
+  maskablePadding?: number;
+  /** Defaults to 0.25. */
+  splashLogoRatio?: number;
+  socialTemplate?: "centered" | "split" | "gradient";
+  /** Regenerate files the assets lock shows are unchanged. */
+  force?: boolean;
+  concurrency?: number;
+  /** Also write .simple-pwa/maskable-preview.png. */
+  maskablePreview?: boolean;
+  /** Formats and encoding per group of images. */
+  output?: OutputOptions;
+  /** Sizes the report checks the files against. */
+  budget?: Budget;
+  onAsset?: (asset: GeneratedAsset) => void;
+}
+
+export interface GenerateAssetsResult {
+  generated: GeneratedAsset[];
+  skipped: GeneratedAsset[];
+  bytes: number;
+  duration: number;
+  previewFile: string | null;
+  warnings: string[];
+  /** Sizes of every file in the registry, generated or skipped. */
+  report: SizeReport;
+}
+
+export interface AddAssetsWithoutLogoOptions extends WriteOptions {
+  outputDir: string;
+  themeColor: string;
+  assets?: Asset[];
+  assetUrl?: AssetUrl;
+  onAsset?: (asset: GeneratedAsset) => void;
+}
+
+export interface BuildManifestOptions {
+  name: string;
+  /** Defaults to `name`. */
+  shortName?: string;
+  description?: string;
+  themeColor: string;
+  backgroundColor: string;
+  /** Defaults to public/assets. */
+  outputDir?: string;
+  assetUrl?: AssetUrl;
+  assets?: Asset[];
+  details?: ManifestDetails;
+}
+
+export interface Structure {
+  baseDir: string;
+  appDir: string | null;
+  pagesDir: string | null;
+}
+
+export interface CachingRoute {
+  urlPattern: RegExp | unknown;
+  handler: CachingHandler;
+  cacheName?: string;
+  networkTimeoutSeconds?: number;
+  expiration?: { maxEntries: number; maxAgeSeconds: number };
+}
+
+export interface ConfigureNextConfigOptions extends WriteOptions {
+  /** Defaults to ducanh2912. */
+  backend?: BackendName;
+  /** Defaults to the detected app/ and pages/ directories. */
+  structure?: Structure;
+  /** Defaults to whether tsconfig.json exists. */
+  typescript?: boolean;
+  /** URL of the offline fallback page. */
+  offline?: string | null;
+  caching?: CachingRoute[] | null;
+  /** Leaves new service workers waiting until the page posts SKIP_WAITING. */
+  confirmUpdates?: boolean;
+}
+
+export interface ConfigureNextConfigResult {
+  file: string;
+  status: "created" | "patched" | "already" | "skipped" | "manual";
+  content?: string;
+  /** Why the config couldn't be patched, with status "manual". */
+  error?: Error;
+  /** The wrapped config to add by hand, with status "manual". */
+  snippet?: string;
+}
+
+export interface ManifestInfo {
+  name: string;
+  shortName: string;
+  description: string;
+  themeColor: string;
+  backgroundColor: string;
+  /** Makes the theme color follow prefers-color-scheme. */
+  darkThemeColor?: string;
+  darkBackgroundColor?: string;
+}
+
+export interface InjectPwaMetadataOptions {
+  structure: Structure;
+  assets: Asset[];
+  assetUrl: AssetUrl;
+  manifestInfo: ManifestInfo;
+  manifestType?: "json" | "route";
+  /** Point `[locale]` layouts to public/manifest.<locale>.json. */
+  localeManifests?: boolean;
+}
+
+export interface InjectPwaMetadataResult {
+  file: string;
+  status?: "merged" | "created" | "already";
+  content?: string;
+  error?: Error;
+  /** Set when part of the metadata, such as the viewport, had to be left out. */
+  warning?: string;
+}
+
+export interface RemovePwaMetadataOptions {
+  structure: Structure;
+  /** The generated assets, only metadata linking them is removed. */
+  assets: Array<Pick<Asset, "name">>;
+  assetUrl: AssetUrl;
+}
+
+export interface RemovePwaMetadataResult {
+  file: string;
+  /** "delete" for a _document that only had the PWA tags. */
+  status?: "stripped" | "none" | "delete";
+  content?: string;
+  error?: Error;
+}
+
+export interface DoctorGroup {
+  name: string;
+  results: Array<{ status: "pass" | "warn" | "fail"; message: string }>;
+}
+
+export interface Backend {
+  name: BackendName;
+  title: string;
+  description: string;
+  packages: string[];
+  devPackages: string[];
+  ignore: string[];
+  serviceWorker?: false;
+}
+
+export interface CachingPreset extends CachingRoute {
+  name: CachingPresetName;
+  title: string;
+  description: string;
+}
+
+export function generateAssets(
+  options: GenerateAssetsOptions
+): Promise<GenerateAssetsResult>;
+export function addAssetsWithoutLogo(
+  options: AddAssetsWithoutLogoOptions
+): Promise<Asset[]>;
+export function buildManifest(
+  options: BuildManifestOptions
+): Promise<Record<string, unknown>>;
+export function resolveManifestDetails(
+  details?: ManifestDetails
+): Promise<ResolvedManifestDetails>;
+export function getAssetRegistry(details?: {
+  shortcuts?: Shortcut[];
+  screenshots?: ResolvedManifestDetails["screenshots"];
+  darkLogo?: string;
+  darkBackgroundColor?: string;
+  output?: OutputOptions;
+}): Asset[];
+export function detectPackageManager(options?: {
+  dir?: string;
+}): Promise<PackageManager | null>;
+export function configureNextConfig(
+  options?: ConfigureNextConfigOptions
+): Promise<ConfigureNextConfigResult>;
+export function injectPwaMetadata(
+  options: InjectPwaMetadataOptions
+): InjectPwaMetadataResult[];
+export function removePwaMetadata(
+  options: RemovePwaMetadataOptions
+): RemovePwaMetadataResult[];
+export function patchGitignore(
+  source: string,
+  entries: string[],
+  /** Heading for the added entries, defaults to "PWA service worker files". */
+  comment?: string
+): string;
+export function runDoctor(): Promise<DoctorGroup[]>;
+export const BACKENDS: Backend[];
+export const CACHING_PRESETS: CachingPreset[];
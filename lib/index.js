@@ -0,0 +1,120 @@
+// Programmatic API. These functions never prompt, print or exit, they take
+// an options object and throw on errors. Paths are relative to the current
+// working directory, like the CLI's.
+
+const {
+  generateAssets,
+  addAssetsWithoutLogo,
+  getAssetUrl,
+} = require("./generate");
+const { getAssetRegistry } = require("./assets");
+const manifest = require("./manifest");
+const {
+  findNextConfig,
+  getDefaultConfigFile,
+  createNextConfigSource,
+  patchNextConfig,
+  getManualConfigSnippet,
+} = require("./next-config");
+const { injectPwaMetadata, removePwaMetadata } = require("./layout");
+const { runDoctor } = require("./doctor");
+const { BACKENDS, getBackend, patchGitignore } = require("./backends");
+const { CACHING_PRESETS } = require("./caching");
+const { findLockfile, readPackageJson, detectStructure } = require("./project");
+const { createWriter } = require("./writer");
+
+// Builds the manifest object. `assets` defaults to the registry for the
+// given details, so icon, shortcut and screenshot entries match what
+// generateAssets writes to the same outputDir.
+async function buildManifest(options) {
+  const {
+    name,
+    shortName = name,
+    description = "",
+    themeColor,
+    backgroundColor,
+    outputDir = "public/assets",
+  } = options;
+  if (!name || !themeColor || !backgroundColor) {
+    throw new Error(
+      "buildManifest needs the app name, themeColor and backgroundColor"
+    );
+  }
+
+  const details = await manifest.resolveManifestDetails(options.details);
+  return manifest.buildManifest(
+    { name, shortName, description, themeColor, backgroundColor },
+    {
+      assets: options.assets || getAssetRegistry(details),
+      assetUrl: options.assetUrl || getAssetUrl(outputDir),
+      details,
+    }
+  );
+}
+
+// The package manager the lockfile belongs to, looking up from `dir` so
+// workspace apps find the lockfile at the repository root. Null when there
+// is none.
+async function detectPackageManager({ dir = "." } = {}) {
+  const lockfile = findLockfile(dir);
+  return lockfile ? lockfile.packageManager : null;
+}
+
+// Wraps next.config with the backend's plugin, creating the file when
+// there is none. Returns the status: "created", "patched", "already" when a
+// PWA plugin is configured, "skipped" for manifest-only setups or "manual"
+// with the error and a snippet to add by hand when the file can't be
+// patched.
+async function configureNextConfig(options = {}) {
+  const backend = getBackend(options.backend || BACKENDS[0].name);
+  const writer = options.writer || createWriter({ dryRun: options.dryRun });
+  const existing = findNextConfig();
+  const file = existing || getDefaultConfigFile(readPackageJson(".") || {});
+
+  const plugin = backend.getPlugin({
+    structure: options.structure || detectStructure(),
+    typescript: options.typescript ?? writer.exists("tsconfig.json"),
+    offline: options.offline || null,
+    caching: options.caching || null,
+    confirmUpdates: Boolean(options.confirmUpdates),
+  });
+  if (!plugin) return { file, status: "skipped" };
+
+  try {
+    const source = existing
+      ? writer.readFile(existing, "utf8")
+      : createNextConfigSource(file);
+    const result = patchNextConfig(source, { file, plugin });
+    if (result.status === "already") return { file, status: "already" };
+
+    writer.writeFile(file, result.content);
+    return {
+      file,
+      status: existing ? "patched" : "created",
+      content: result.content,
+    };
+  } catch (error) {
+    return {
+      file,
+      status: "manual",
+      error,
+      snippet: getManualConfigSnippet(file, plugin),
+    };
+  }
+}
+
+module.exports = {
+  generateAssets,
+  addAssetsWithoutLogo,
+  buildManifest,
+  resolveManifestDetails: manifest.resolveManifestDetails,
+  getAssetRegistry,
+  detectPackageManager,
+  configureNextConfig,
+  injectPwaMetadata,
+  removePwaMetadata,
+  patchGitignore,
+  runDoctor,
+  BACKENDS,
+  CACHING_PRESETS,
+};
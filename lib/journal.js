@@ -0,0 +1,224 @@
+const fs = require("fs");
+const path = require("path");
+
+const STATE_DIR = ".simple-pwa";
+const RUNS_DIR = path.join(STATE_DIR, "runs");
+const MAX_RUNS = 10;
+
+// Files that change when a package is installed
+const INSTALL_FILES = [
+  "package.json",
+  "package-lock.json",
+  "yarn.lock",
+  "pnpm-lock.yaml",
+  "bun.lockb",
+  "bun.lock",
+];
+
+function ensureStateDir() {
+  fs.mkdirSync(RUNS_DIR, { recursive: true });
+  const gitignore = path.join(STATE_DIR, ".gitignore");
+  if (!fs.existsSync(gitignore)) {
+    fs.writeFileSync(gitignore, "runs/\nmaskable-preview.png\n");
+  }
+}
+
+function isStateFile(file) {
+  const relative = path.relative(STATE_DIR, file);
+  return (
+    relative === "" || relative === ".gitignore" || relative.startsWith("runs")
+  );
+}
+
+function saveJournal(runDir, journal) {
+  fs.writeFileSync(
+    path.join(runDir, "journal.json"),
+    JSON.stringify(journal, null, 2)
+  );
+}
+
+// Puts every tracked path back the way it was before the run, newest first:
+// backed up files and removed directories are restored, files and
+// directories the run created are removed.
+function restoreEntries(runDir, entries) {
+  for (const entry of [...entries].reverse()) {
+    if (entry.type === "dir" && entry.existed) {
+      fs.mkdirSync(entry.path, { recursive: true });
+    } else if (entry.type === "dir") {
+      try {
+        fs.rmdirSync(entry.path);
+      } catch (error) {
+        // Leave directories that are gone already or hold other files
+        if (error.code !== "ENOENT" && error.code !== "ENOTEMPTY") throw error;
+      }
+    } else if (entry.existed) {
+      fs.mkdirSync(path.dirname(entry.path), { recursive: true });
+      fs.copyFileSync(path.join(runDir, entry.backup), entry.path);
+    } else if (fs.existsSync(entry.path)) {
+      fs.unlinkSync(entry.path);
+    }
+  }
+}
+
+// Whether the run left a tracked path different from before, so runs that
+// only tracked files without changing them can be told apart.
+function hasChanged(runDir, entry) {
+  if (entry.type === "dir" && entry.existed) return !fs.existsSync(entry.path);
+  if (entry.type === "dir" || !entry.existed) return fs.existsSync(entry.path);
+  return (
+    !fs.existsSync(entry.path) ||
+    !fs
+      .readFileSync(entry.path)
+      .equals(fs.readFileSync(path.join(runDir, entry.backup)))
+  );
+}
+
+function pruneRuns() {
+  const runs = fs.readdirSync(RUNS_DIR).sort();
+  for (const run of runs.slice(0, Math.max(0, runs.length - MAX_RUNS))) {
+    fs.rmSync(path.join(RUNS_DIR, run), { recursive: true, force: true });
+  }
+}
+
+// Records every file and directory a run touches, backing up the original
+// content to .simple-pwa/runs/<id>/ before it's first changed.
+function createJournal({ command = "setup" } = {}) {
+  const id = new Date().toISOString().replace(/[:.]/g, "-");
+  const runDir = path.join(RUNS_DIR, id);
+  const journal = {
+    id,
+    command,
+    status: "active",
+    startedAt: new Date().toISOString(),
+    entries: [],
+  };
+  const tracked = new Set();
+
+  ensureStateDir();
+  fs.mkdirSync(runDir, { recursive: true });
+  saveJournal(runDir, journal);
+
+  function trackDir(dir) {
+    const missing = [];
+    let current = path.normalize(dir);
+    while (current !== "." && current !== path.dirname(current)) {
+      if (fs.existsSync(current)) break;
+      missing.unshift(current);
+      current = path.dirname(current);
+    }
+
+    for (const missingDir of missing) {
+      if (tracked.has(missingDir) || isStateFile(missingDir)) continue;
+      tracked.add(missingDir);
+      journal.entries.push({ type: "dir", path: missingDir });
+    }
+    saveJournal(runDir, journal);
+  }
+
+  return {
+    id,
+
+    get status() {
+      return journal.status;
+    },
+
+    trackDir,
+
+    // Call before an empty directory is removed, so it's recreated on undo.
+    trackDirRemoval(dir) {
+      const key = path.normalize(dir);
+      if (tracked.has(key) || isStateFile(key)) return;
+      tracked.add(key);
+      journal.entries.push({ type: "dir", path: key, existed: true });
+      saveJournal(runDir, journal);
+    },
+
+    // Call before a file is written, deleted or changed by a command.
+    track(file) {
+      const key = path.normalize(file);
+      if (tracked.has(key) || isStateFile(key)) return;
+      tracked.add(key);
+
+      trackDir(path.dirname(key));
+      if (fs.existsSync(key)) {
+        // Lockfiles can live in a parent directory, keep their backups
+        // inside the run directory
+        const backup = path.join(
+          "backup",
+          key.replace(/(^|[\\/])\.\.(?=[\\/]|$)/g, "$1_parent")
+        );
+        fs.mkdirSync(path.dirname(path.join(runDir, backup)), {
+          recursive: true,
+        });
+        fs.copyFileSync(key, path.join(runDir, backup));
+        journal.entries.push({
+          type: "file",
+          path: key,
+          existed: true,
+          backup,
+        });
+      } else {
+        journal.entries.push({ type: "file", path: key, existed: false });
+      }
+      saveJournal(runDir, journal);
+    },
+
+    // A run that changed nothing is discarded instead, so it doesn't
+    // become the run undo reverts and hide the one before it.
+    complete() {
+      journal.entries = journal.entries.filter((entry) =>
+        hasChanged(runDir, entry)
+      );
+      if (journal.entries.length === 0) {
+        fs.rmSync(runDir, { recursive: true, force: true });
+        journal.status = "discarded";
+        return;
+      }
+      journal.status = "complete";
+      journal.finishedAt = new Date().toISOString();
+      saveJournal(runDir, journal);
+      pruneRuns();
+    },
+
+    rollback() {
+      restoreEntries(runDir, journal.entries);
+      journal.status = "rolled-back";
+      saveJournal(runDir, journal);
+    },
+  };
+}
+
+function findLastRun() {
+  if (!fs.existsSync(RUNS_DIR)) return null;
+
+  const runs = fs.readdirSync(RUNS_DIR).sort().reverse();
+  for (const run of runs) {
+    const runDir = path.join(RUNS_DIR, run);
+    const file = path.join(runDir, "journal.json");
+    if (!fs.existsSync(file)) continue;
+    const journal = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (journal.status === "complete") return { runDir, journal };
+  }
+  return null;
+}
+
+// Restores the project to the state before the last completed run.
+function undoLastRun() {
+  const run = findLastRun();
+  if (!run) {
+    throw new Error("Nothing to undo, no completed simple-pwa run was found.");
+  }
+
+  restoreEntries(run.runDir, run.journal.entries);
+  run.journal.status = "undone";
+  saveJournal(run.runDir, run.journal);
+  return run.journal;
+}
+
+module.exports = {
+  STATE_DIR,
+  INSTALL_FILES,
+  createJournal,
+  findLastRun,
+  undoLastRun,
+};
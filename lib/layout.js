@@ -0,0 +1,1184 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  parseSource,
+  walk,
+  unwrapTypeExpression,
+  findImportInsertionPoint,
+  toValue,
+  formatKey,
+  toJsLiteral,
+  getIndent,
+  getStatementRange,
+  applyEdits,
+} = require("./ast");
+const { getHeadAssets } = require("./assets");
+const { MANIFEST_URLS, readProjectManifest } = require("./manifest");
+
+const LAYOUT_EXTENSIONS = [".tsx", ".jsx", ".js", ".ts"];
+
+function findFile(dir, name, extensions = LAYOUT_EXTENSIONS) {
+  for (const ext of extensions) {
+    const file = path.join(dir, `${name}${ext}`);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+// Windows reads its pinned site tiles from these <meta> tags
+function getTileMeta({ assets, themeColor }) {
+  if (!assets.browserconfig) return undefined;
+  return {
+    "msapplication-TileColor": themeColor,
+    "msapplication-TileImage": assets.tileImage,
+    "msapplication-config": assets.browserconfig,
+  };
+}
+
+// `manifestUrl` is left out for an app/manifest route, which Next.js links
+// by itself.
+function getPwaMetadata({ assets, shortName, themeColor, manifestUrl }) {
+  return {
+    manifest: manifestUrl,
+    icons: {
+      icon: assets.icons.length > 0 ? assets.icons : undefined,
+      apple: assets.apple,
+      other: assets.maskIcon
+        ? [{ rel: "mask-icon", url: assets.maskIcon, color: themeColor }]
+        : undefined,
+    },
+    appleWebApp: {
+      capable: true,
+      statusBarStyle: "default",
+      title: shortName,
+      startupImage:
+        assets.startupImages.length > 0 ? assets.startupImages : undefined,
+    },
+    openGraph:
+      assets.openGraph.length > 0 ? { images: assets.openGraph } : undefined,
+    twitter:
+      assets.twitter.length > 0
+        ? { card: "summary_large_image", images: assets.twitter }
+        : undefined,
+    other: getTileMeta({ assets, themeColor }),
+  };
+}
+
+const LIGHT_SCHEME = "(prefers-color-scheme: light)";
+const DARK_SCHEME = "(prefers-color-scheme: dark)";
+
+// The theme color for `export const viewport`, one color per color scheme
+// when there's a dark theme color.
+function getThemeColors({ themeColor, darkThemeColor }) {
+  if (!darkThemeColor) return [{ color: themeColor }];
+  return [
+    { media: LIGHT_SCHEME, color: themeColor },
+    { media: DARK_SCHEME, color: darkThemeColor },
+  ];
+}
+
+function getPwaViewport(details) {
+  const colors = getThemeColors(details);
+  return { themeColor: colors.length > 1 ? colors : colors[0].color };
+}
+
+function getPwaHeadTags({
+  assets,
+  shortName,
+  themeColor,
+  darkThemeColor,
+  manifestUrl,
+}) {
+  return [
+    { tag: "link", attrs: { rel: "manifest", href: manifestUrl } },
+    ...assets.icons.map((icon) => ({
+      tag: "link",
+      attrs: {
+        rel: "icon",
+        type: icon.type,
+        sizes: icon.sizes,
+        href: icon.url,
+      },
+    })),
+    ...(assets.apple
+      ? [
+          {
+            tag: "link",
+            attrs: { rel: "apple-touch-icon", href: assets.apple },
+          },
+        ]
+      : []),
+    ...(assets.maskIcon
+      ? [
+          {
+            tag: "link",
+            attrs: {
+              rel: "mask-icon",
+              href: assets.maskIcon,
+              color: themeColor,
+            },
+          },
+        ]
+      : []),
+    ...getThemeColors({ themeColor, darkThemeColor }).map(
+      ({ media, color }) => ({
+        tag: "meta",
+        attrs: { name: "theme-color", media, content: color },
+      })
+    ),
+    ...Object.entries(getTileMeta({ assets, themeColor }) || {})
+      .filter(([, content]) => content)
+      .map(([name, content]) => ({ tag: "meta", attrs: { name, content } })),
+    {
+      tag: "meta",
+      attrs: { name: "apple-mobile-web-app-capable", content: "yes" },
+    },
+    {
+      tag: "meta",
+      attrs: {
+        name: "apple-mobile-web-app-status-bar-style",
+        content: "default",
+      },
+    },
+    {
+      tag: "meta",
+      attrs: { name: "apple-mobile-web-app-title", content: shortName },
+    },
+    ...assets.startupImages.map((image) => ({
+      tag: "link",
+      attrs: {
+        rel: "apple-touch-startup-image",
+        media: image.media,
+        href: image.url,
+      },
+    })),
+    ...assets.openGraph.map((url) => ({
+      tag: "meta",
+      attrs: { property: "og:image", content: url },
+    })),
+    ...(assets.twitter.length > 0
+      ? [
+          {
+            tag: "meta",
+            attrs: { name: "twitter:card", content: "summary_large_image" },
+          },
+        ]
+      : []),
+    ...assets.twitter.map((url) => ({
+      tag: "meta",
+      attrs: { name: "twitter:image", content: url },
+    })),
+  ];
+}
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/</g, "&lt;");
+}
+
+function renderTag({ tag, attrs }) {
+  const attributes = Object.entries(attrs)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `${name}="${escapeAttribute(value)}"`)
+    .join(" ");
+  return `<${tag} ${attributes} />`;
+}
+
+// The attribute that identifies a tag, used to avoid adding it twice.
+function getTagKey({ attrs }) {
+  if (attrs.rel === "apple-touch-startup-image") return ["href", attrs.href];
+  if (attrs.rel === "icon") return ["href", attrs.href];
+  if (attrs.rel) return ["rel", attrs.rel];
+  if (attrs.media) return ["media", attrs.media];
+  if (attrs.property) return ["property", attrs.property];
+  return ["name", attrs.name];
+}
+
+function getPropertyName(property) {
+  if (property.type !== "ObjectProperty" || property.computed) return null;
+  if (property.key.type === "Identifier") return property.key.name;
+  if (property.key.type === "StringLiteral") return property.key.value;
+  return null;
+}
+
+function isPlainObject(value) {
+  return value && typeof value === "object" && !Array.isArray(value);
+}
+
+// Collects edits that add the keys of `value` missing from an object literal.
+// Existing keys are kept as they are, nested object literals are merged.
+function mergeIntoObject(source, objectNode, value, edits) {
+  const missing = [];
+
+  for (const [key, child] of Object.entries(value)) {
+    if (child === undefined) continue;
+    const property = objectNode.properties.find(
+      (prop) => getPropertyName(prop) === key
+    );
+    if (!property) {
+      missing.push([key, child]);
+    } else if (
+      isPlainObject(child) &&
+      property.value.type === "ObjectExpression"
+    ) {
+      mergeIntoObject(source, property.value, child, edits);
+    }
+  }
+
+  if (missing.length === 0) return;
+
+  const { properties } = objectNode;
+  if (properties.length === 0) {
+    const outer = getIndent(source, objectNode.start);
+    const indent = `${outer}  `;
+    const lines = missing.map(
+      ([key, child]) =>
+        `${indent}${formatKey(key)}: ${toJsLiteral(child, indent)},`
+    );
+    edits.push({
+      start: objectNode.start,
+      end: objectNode.end,
+      text: `{\n${lines.join("\n")}\n${outer}}`,
+    });
+    return;
+  }
+
+  const last = properties[properties.length - 1];
+  const rest = source.slice(last.end, objectNode.end - 1);
+  const comma = rest.match(/^\s*,/);
+
+  // Single-line literals such as `{ title: "App" }` stay on one line
+  if (!source.slice(objectNode.start, objectNode.end).includes("\n")) {
+    const outer = getIndent(source, objectNode.start);
+    const text = missing
+      .map(([key, child]) => `${formatKey(key)}: ${toJsLiteral(child, outer)}`)
+      .join(", ");
+    const offset = comma ? last.end + comma[0].length : last.end;
+    edits.push({
+      start: offset,
+      end: offset,
+      text: comma ? ` ${text},` : `, ${text}`,
+    });
+    return;
+  }
+
+  const indent = getIndent(source, last.start);
+  const lines = missing.map(
+    ([key, child]) =>
+      `${indent}${formatKey(key)}: ${toJsLiteral(child, indent)},`
+  );
+
+  if (comma) {
+    const offset = last.end + comma[0].length;
+    edits.push({ start: offset, end: offset, text: `\n${lines.join("\n")}` });
+  } else {
+    edits.push({
+      start: last.end,
+      end: last.end,
+      text: `,\n${lines.join("\n")}`.replace(/,$/, ""),
+    });
+  }
+}
+
+// Finds `export const <name>` in a layout, or notes that the layout
+// computes it with generateMetadata/generateViewport.
+function findLayoutExport(ast, name) {
+  const generator = `generate${name[0].toUpperCase()}${name.slice(1)}`;
+  for (const node of ast.program.body) {
+    if (node.type !== "ExportNamedDeclaration" || !node.declaration) continue;
+    const { declaration } = node;
+
+    if (
+      declaration.type === "FunctionDeclaration" &&
+      declaration.id &&
+      declaration.id.name === generator
+    ) {
+      return { generated: generator, node };
+    }
+
+    if (declaration.type !== "VariableDeclaration") continue;
+    for (const declarator of declaration.declarations) {
+      if (declarator.id.type !== "Identifier") continue;
+      if (declarator.id.name === generator)
+        return { generated: generator, node };
+      if (declarator.id.name === name) {
+        return { declarator, node };
+      }
+    }
+  }
+  return null;
+}
+
+function findNextTypeImport(ast) {
+  return ast.program.body.find(
+    (node) =>
+      node.type === "ImportDeclaration" &&
+      node.source.value === "next" &&
+      node.specifiers.length > 0 &&
+      node.specifiers.every((specifier) => specifier.type === "ImportSpecifier")
+  );
+}
+
+function hasTypeImport(ast, typeName) {
+  return ast.program.body.some(
+    (node) =>
+      node.type === "ImportDeclaration" &&
+      node.source.value === "next" &&
+      node.specifiers.some(
+        (specifier) =>
+          specifier.type === "ImportSpecifier" &&
+          specifier.local.name === typeName
+      )
+  );
+}
+
+// Adds the type to an existing `import type { ... } from "next"`, or
+// returns the import line to add when there's none.
+function addTypeImport(ast, typeName, edits) {
+  if (hasTypeImport(ast, typeName)) return null;
+  const typeImport = findNextTypeImport(ast);
+  if (!typeImport) return `import type { ${typeName} } from "next";`;
+  const last = typeImport.specifiers[typeImport.specifiers.length - 1];
+  edits.push({ start: last.end, end: last.end, text: `, ${typeName}` });
+  return null;
+}
+
+// The text that adds an import line and declarations at an insertion point
+// from findImportInsertionPoint.
+function getInsertionText(insertion, importLine, declarations) {
+  const code = [importLine, ...declarations].filter(Boolean).join("\n\n");
+  if (insertion.position === "before") return `${code}\n\n`;
+  // The import line goes right below the other imports
+  return importLine && insertion.afterImport ? `\n${code}` : `\n\n${code}`;
+}
+
+function assertServerComponent(ast, file, name) {
+  if (
+    (ast.program.directives || []).some(
+      (directive) => directive.value.value === "use client"
+    )
+  ) {
+    throw new Error(`${file} is a client component and can't export ${name}`);
+  }
+}
+
+// Merges `value` into `export const <name>` of an App Router layout, or adds
+// the export, typed as `typeName` from "next" in TypeScript files, when the
+// layout has none. New exports go after the `after` export when there is
+// one, otherwise after the imports.
+function patchLayoutExport(source, { file, name, typeName, value, after }) {
+  const ast = parseSource(source, file);
+  const typed = /\.tsx?$/.test(file);
+  assertServerComponent(ast, file, name);
+
+  const found = findLayoutExport(ast, name);
+  if (found && found.generated) {
+    throw new Error(
+      `${file} uses ${found.generated}, add the PWA ${name} to its return value manually`
+    );
+  }
+
+  const edits = [];
+  if (found) {
+    const init =
+      found.declarator.init && unwrapTypeExpression(found.declarator.init);
+    if (!init || init.type !== "ObjectExpression") {
+      throw new Error(
+        `${file} exports ${name} that isn't an object literal, add the PWA ${name} manually`
+      );
+    }
+    mergeIntoObject(source, init, value, edits);
+    if (edits.length === 0) return { status: "already", content: source };
+  } else {
+    const previous = after && findLayoutExport(ast, after);
+    const insertion =
+      previous && previous.node
+        ? { offset: previous.node.end, position: "after" }
+        : findImportInsertionPoint(ast, source);
+    const declaration = `export const ${name}${
+      typed ? `: ${typeName}` : ""
+    } = ${toJsLiteral(value)};`;
+    const importLine = typed ? addTypeImport(ast, typeName, edits) : null;
+    edits.push({
+      start: insertion.offset,
+      end: insertion.offset,
+      text: getInsertionText(insertion, importLine, [declaration]),
+    });
+  }
+
+  return {
+    status: found ? "merged" : "created",
+    content: applyEdits(source, edits),
+  };
+}
+
+// Merges the PWA metadata into `export const metadata` of an App Router
+// layout, or adds the export when the layout has none.
+function patchLayoutMetadata(source, { file, metadata }) {
+  return patchLayoutExport(source, {
+    file,
+    name: "metadata",
+    typeName: "Metadata",
+    value: metadata,
+  });
+}
+
+// generateMetadata for a `[param]` layout, returning the static `metadata`
+// when there is one and the manifest of the locale in the URL.
+function createLocaleMetadataSource({ param, typed, spread }) {
+  const signature = typed
+    ? `({
+  params,
+}: {
+  params: Promise<{ ${param}: string }>;
+}): Promise<Metadata>`
+    : "({ params })";
+  return `export async function generateMetadata${signature} {
+  const { ${param} } = await params;
+  return { ${
+    spread ? "...metadata, " : ""
+  }manifest: \`/manifest.\${${param}}.json\` };
+}`;
+}
+
+// Points a `[locale]` layout to the manifest of its locale, merging
+// `metadata` in as well. The manifest URL depends on the route param, so
+// an existing `export const metadata` stops being exported and is returned
+// from a generateMetadata that adds the manifest.
+function patchLocaleLayoutMetadata(source, { file, param, metadata = {} }) {
+  const ast = parseSource(source, file);
+  const typed = /\.tsx?$/.test(file);
+  assertServerComponent(ast, file, "metadata");
+
+  const found = findLayoutExport(ast, "metadata");
+  if (found && found.generated) {
+    if (source.includes(`/manifest.\${${param}}.json`)) {
+      return { status: "already", content: source };
+    }
+    throw new Error(
+      `${file} uses ${found.generated}, return manifest: \`/manifest.\${${param}}.json\` from it manually`
+    );
+  }
+
+  const edits = [];
+  const importLine = typed ? addTypeImport(ast, "Metadata", edits) : null;
+  if (found) {
+    const init =
+      found.declarator.init && unwrapTypeExpression(found.declarator.init);
+    if (!init || init.type !== "ObjectExpression") {
+      throw new Error(
+        `${file} exports metadata that isn't an object literal, add the PWA metadata manually`
+      );
+    }
+    mergeIntoObject(source, init, metadata, edits);
+    edits.push({
+      start: found.node.start,
+      end: found.node.declaration.start,
+      text: "",
+    });
+    edits.push({
+      start: found.node.end,
+      end: found.node.end,
+      text: `\n\n${createLocaleMetadataSource({ param, typed, spread: true })}`,
+    });
+    if (importLine) {
+      const insertion = findImportInsertionPoint(ast, source);
+      edits.push({
+        start: insertion.offset,
+        end: insertion.offset,
+        text: getInsertionText(insertion, importLine, []),
+      });
+    }
+  } else {
+    const values = Object.entries(metadata).filter(
+      ([, value]) => value !== undefined
+    );
+    const declarations = [
+      values.length > 0 &&
+        `const metadata${typed ? ": Metadata" : ""} = ${toJsLiteral(
+          Object.fromEntries(values)
+        )};`,
+      createLocaleMetadataSource({ param, typed, spread: values.length > 0 }),
+    ].filter(Boolean);
+    const insertion = findImportInsertionPoint(ast, source);
+    edits.push({
+      start: insertion.offset,
+      end: insertion.offset,
+      text: getInsertionText(insertion, importLine, declarations),
+    });
+  }
+
+  return {
+    status: found ? "merged" : "created",
+    content: applyEdits(source, edits),
+  };
+}
+
+// Same for the theme color in `export const viewport`.
+function patchLayoutViewport(source, { file, viewport }) {
+  return patchLayoutExport(source, {
+    file,
+    name: "viewport",
+    typeName: "Viewport",
+    value: viewport,
+    after: "metadata",
+  });
+}
+
+function findHeadElement(ast) {
+  let head = null;
+  walk(ast.program, (node) => {
+    if (head) return false;
+    if (
+      node.type === "JSXElement" &&
+      node.openingElement.name.type === "JSXIdentifier" &&
+      node.openingElement.name.name === "Head"
+    ) {
+      head = node;
+    }
+    return undefined;
+  });
+  return head;
+}
+
+// Adds the PWA <link>/<meta> tags to the <Head> of pages/_document.
+function patchDocumentHead(source, { file, tags }) {
+  const ast = parseSource(source, file);
+  const head = findHeadElement(ast);
+  if (!head) {
+    throw new Error(`${file} has no <Head> element to add the PWA tags to`);
+  }
+
+  const missing = tags.filter((tag) => {
+    const [attribute, value] = getTagKey(tag);
+    return ![`"${value}"`, `'${value}'`].some((quoted) =>
+      source.includes(`${attribute}=${quoted}`)
+    );
+  });
+  if (missing.length === 0) return { status: "already", content: source };
+
+  const outer = getIndent(source, head.start);
+  const indent = `${outer}  `;
+  const lines = missing.map((tag) => `${indent}${renderTag(tag)}`).join("\n");
+
+  let edit;
+  if (head.openingElement.selfClosing) {
+    edit = {
+      start: head.start,
+      end: head.end,
+      text: `<Head>\n${lines}\n${outer}</Head>`,
+    };
+  } else {
+    const closing = head.closingElement.start;
+    const before = source.slice(0, closing);
+    const lineStart = before.lastIndexOf("\n") + 1;
+    const onOwnLine = /^[ \t]*$/.test(before.slice(lineStart));
+    edit = onOwnLine
+      ? { start: lineStart, end: lineStart, text: `${lines}\n` }
+      : { start: closing, end: closing, text: `\n${lines}\n${outer}` };
+  }
+
+  return { status: "merged", content: applyEdits(source, [edit]) };
+}
+
+function createDocumentSource(tags) {
+  const lines = tags.map((tag) => `        ${renderTag(tag)}`).join("\n");
+  return `import { Html, Head, Main, NextScript } from "next/document";
+
+export default function Document() {
+  return (
+    <Html lang="en">
+      <Head>
+${lines}
+      </Head>
+      <body>
+        <Main />
+        <NextScript />
+      </body>
+    </Html>
+  );
+}
+`;
+}
+
+// Layouts of dynamic segments right under app/, such as app/[locale], with
+// the name of their param.
+function findParamLayouts(appDir) {
+  return fs
+    .readdirSync(appDir, { withFileTypes: true })
+    .map((entry) => entry.isDirectory() && entry.name.match(/^\[(\w+)\]$/))
+    .filter(Boolean)
+    .map((match) => ({
+      param: match[1],
+      file: findFile(path.join(appDir, match[0]), "layout"),
+    }))
+    .filter((layout) => layout.file);
+}
+
+// The manifest URLs the setup links: /manifest.json, /manifest.<locale>.json
+// and the metadata route's /manifest.webmanifest
+const MANIFEST_URL = /^\/manifest(\.[\w-]+)?\.(json|webmanifest)$/;
+
+// The range that removes one item of an object or array literal with its
+// comma, taking the whole line when the item is on lines of its own.
+function getItemRange(source, item, previous) {
+  let { start, end } = item;
+  const comma = source.slice(end).match(/^\s*,/);
+  if (comma) end += comma[0].length;
+
+  const lineStart = source.lastIndexOf("\n", start - 1) + 1;
+  const lineEnd = source.indexOf("\n", end);
+  if (
+    /^[ \t]*$/.test(source.slice(lineStart, start)) &&
+    lineEnd !== -1 &&
+    /^[ \t]*$/.test(source.slice(end, lineEnd))
+  ) {
+    return { start: lineStart, end: lineEnd + 1 };
+  }
+  if (comma)
+    return { start, end: end + source.slice(end).match(/^ */)[0].length };
+  // The last item on a line gives up the comma of the item kept before it
+  return { start: previous ? previous.end : start, end };
+}
+
+// The edits that remove the items of a list, such as properties or array
+// elements, for which `removed` is true. Ranges that overlap are joined.
+function getRemovalEdits(source, items, removed) {
+  const ranges = [];
+  let previous = null;
+  items.forEach((item, index) => {
+    if (!removed[index]) {
+      previous = item;
+      return;
+    }
+    const range = getItemRange(source, item, previous);
+    while (ranges.length > 0 && ranges[ranges.length - 1].end >= range.start) {
+      range.start = Math.min(range.start, ranges.pop().start);
+    }
+    ranges.push(range);
+  });
+  return ranges.map((range) => ({ ...range, text: "" }));
+}
+
+// The value of a literal, or undefined when it's computed
+function readLiteral(node) {
+  try {
+    return toValue(node);
+  } catch {
+    return undefined;
+  }
+}
+
+function mentionsAssets(node, assetUrls) {
+  const value = readLiteral(node);
+  if (value === undefined) return false;
+  let found = false;
+  JSON.stringify(value, (key, item) => {
+    if (typeof item === "string" && assetUrls.has(item)) found = true;
+    return item;
+  });
+  return found;
+}
+
+// Collects edits that remove the properties of an object literal `isPwa`
+// says the setup added. `isPwa` gets the dotted path of each property, such
+// as "appleWebApp.title", and returns true to remove it, or "recurse" to
+// remove it when it mentions the generated assets, and otherwise look inside
+// objects and remove the array items that mention them. Returns true when
+// every property goes, leaving it to the caller to remove the whole object.
+function stripObject(
+  source,
+  objectNode,
+  { isPwa, assetUrls, prefix = "" },
+  edits
+) {
+  const { properties } = objectNode;
+  const removed = new Set();
+  const nestedEdits = [];
+
+  for (const property of properties) {
+    const name = getPropertyName(property);
+    const verdict = name !== null && isPwa(`${prefix}${name}`, property.value);
+    const nested = ["ObjectExpression", "ArrayExpression"].includes(
+      property.value.type
+    );
+    if (
+      verdict === true ||
+      (verdict === "recurse" &&
+        !nested &&
+        mentionsAssets(property.value, assetUrls))
+    ) {
+      removed.add(property);
+    } else if (
+      verdict === "recurse" &&
+      property.value.type === "ObjectExpression"
+    ) {
+      const edits = [];
+      const options = { isPwa, assetUrls, prefix: `${prefix}${name}.` };
+      if (stripObject(source, property.value, options, edits)) {
+        removed.add(property);
+      } else {
+        nestedEdits.push(...edits);
+      }
+    } else if (
+      verdict === "recurse" &&
+      property.value.type === "ArrayExpression"
+    ) {
+      const { elements } = property.value;
+      const generated = elements.map(
+        (element) => Boolean(element) && mentionsAssets(element, assetUrls)
+      );
+      if (generated.length > 0 && generated.every(Boolean)) {
+        removed.add(property);
+      } else {
+        nestedEdits.push(...getRemovalEdits(source, elements, generated));
+      }
+    }
+  }
+
+  // The card type only matters for the images that were removed
+  const images = properties.find((prop) => getPropertyName(prop) === "images");
+  const card = properties.find((prop) => getPropertyName(prop) === "card");
+  if (
+    images &&
+    card &&
+    removed.has(images) &&
+    card.value.type === "StringLiteral" &&
+    card.value.value === "summary_large_image"
+  ) {
+    removed.add(card);
+  }
+
+  if (properties.length > 0 && removed.size === properties.length) return true;
+  edits.push(
+    ...getRemovalEdits(
+      source,
+      properties,
+      properties.map((property) => removed.has(property))
+    )
+  );
+  edits.push(...nestedEdits);
+  return false;
+}
+
+// Whether a theme color is the one setup writes for `themeColor`: the color
+// itself, or the light and dark pair getThemeColors returns with it as the
+// light color. The dark color isn't recorded anywhere, so any goes.
+function isSetupThemeColor(value, themeColor) {
+  if (!themeColor) return false;
+  if (value === themeColor) return true;
+  const isScheme = (entry, media) =>
+    isPlainObject(entry) &&
+    Object.keys(entry).length === 2 &&
+    entry.media === media &&
+    typeof entry.color === "string";
+  return (
+    Array.isArray(value) &&
+    value.length === 2 &&
+    isScheme(value[0], LIGHT_SCHEME) &&
+    value[0].color === themeColor &&
+    isScheme(value[1], DARK_SCHEME)
+  );
+}
+
+// Checks the metadata properties against the values getPwaMetadata writes.
+// Setup keeps the values a layout already has, so the ones that differ are
+// the layout's own and stay.
+function getPwaMetadataCheck({ shortName, themeColor }) {
+  const generated = {
+    "appleWebApp.capable": true,
+    "appleWebApp.statusBarStyle": "default",
+    "appleWebApp.title": shortName,
+    "other.msapplication-TileColor": themeColor,
+  };
+  return (name, node) => {
+    if (name === "manifest") {
+      return (
+        (node.type === "StringLiteral" && MANIFEST_URL.test(node.value)) ||
+        (node.type === "TemplateLiteral" &&
+          node.quasis[0].value.cooked.startsWith("/manifest."))
+      );
+    }
+    if (name in generated) {
+      return (
+        generated[name] !== undefined && readLiteral(node) === generated[name]
+      );
+    }
+    return "recurse";
+  };
+}
+
+function getPwaViewportCheck({ themeColor }) {
+  return (name, node) =>
+    name === "themeColor" && isSetupThemeColor(readLiteral(node), themeColor);
+}
+
+// The generateMetadata patchLocaleLayoutMetadata adds to `[locale]` layouts
+function findLocaleMetadata(ast, source) {
+  return ast.program.body.find(
+    (node) =>
+      node.type === "ExportNamedDeclaration" &&
+      node.declaration &&
+      node.declaration.type === "FunctionDeclaration" &&
+      node.declaration.id.name === "generateMetadata" &&
+      node.declaration.body.body.length === 2 &&
+      /manifest: `\/manifest\.\$\{\w+\}\.json`/.test(
+        source.slice(node.start, node.end)
+      )
+  );
+}
+
+// Removes the `Metadata` and `Viewport` imports nothing uses any more.
+function removeUnusedTypeImports(source, file) {
+  const ast = parseSource(source, file);
+  const used = new Map();
+  walk(ast.program, (node) => {
+    if (node.type === "ImportDeclaration") return false;
+    if (node.type === "Identifier") {
+      used.set(node.name, (used.get(node.name) || 0) + 1);
+    }
+    return undefined;
+  });
+
+  const edits = [];
+  for (const node of ast.program.body) {
+    if (node.type !== "ImportDeclaration" || node.source.value !== "next") {
+      continue;
+    }
+    const unused = node.specifiers.map(
+      (specifier) =>
+        specifier.type === "ImportSpecifier" &&
+        ["Metadata", "Viewport"].includes(specifier.local.name) &&
+        !used.has(specifier.local.name)
+    );
+    if (!unused.some(Boolean)) continue;
+    if (unused.every(Boolean)) {
+      edits.push({ ...getStatementRange(source, node), text: "" });
+      continue;
+    }
+    edits.push(...getRemovalEdits(source, node.specifiers, unused));
+  }
+  return applyEdits(source, edits);
+}
+
+// Takes the metadata the setup added back out of an App Router layout: the
+// manifest link, icons and images of the generated assets, and the
+// appleWebApp values, Windows tile meta and viewport theme color that match
+// the `shortName` and `themeColor` setup wrote. A `[locale]` layout's
+// generateMetadata goes and its `metadata` is exported again. Exports left
+// empty are removed.
+function stripLayoutMetadata(
+  source,
+  { file, assetUrls, shortName, themeColor }
+) {
+  const ast = parseSource(source, file);
+  const edits = [];
+
+  const localeMetadata = findLocaleMetadata(ast, source);
+  if (localeMetadata) {
+    edits.push({ ...getStatementRange(source, localeMetadata), text: "" });
+  }
+
+  for (const [name, isPwa] of [
+    ["metadata", getPwaMetadataCheck({ shortName, themeColor })],
+    ["viewport", getPwaViewportCheck({ themeColor })],
+  ]) {
+    let found = findLayoutExport(ast, name);
+    if (name === "metadata" && localeMetadata) {
+      const local = ast.program.body.find(
+        (node) =>
+          node.type === "VariableDeclaration" &&
+          node.declarations.some(
+            (declarator) => declarator.id.name === "metadata"
+          )
+      );
+      found = local && { declarator: local.declarations[0], node: local };
+    }
+    if (!found || found.generated) continue;
+
+    const init =
+      found.declarator.init && unwrapTypeExpression(found.declarator.init);
+    if (!init || init.type !== "ObjectExpression") continue;
+    const propertyEdits = [];
+    if (stripObject(source, init, { isPwa, assetUrls }, propertyEdits)) {
+      edits.push({ ...getStatementRange(source, found.node), text: "" });
+      continue;
+    }
+    edits.push(...propertyEdits);
+    if (found.node.type === "VariableDeclaration") {
+      edits.push({
+        start: found.node.start,
+        end: found.node.start,
+        text: "export ",
+      });
+    }
+  }
+
+  if (edits.length === 0) return { status: "none", content: source };
+  return {
+    status: "stripped",
+    content: removeUnusedTypeImports(applyEdits(source, edits), file),
+  };
+}
+
+function getJsxAttributes(element) {
+  const attributes = {};
+  for (const attribute of element.openingElement.attributes) {
+    if (
+      attribute.type === "JSXAttribute" &&
+      attribute.value &&
+      attribute.value.type === "StringLiteral"
+    ) {
+      attributes[attribute.name.name] = attribute.value.value;
+    }
+  }
+  return attributes;
+}
+
+// Removes the <link>/<meta> tags patchDocumentHead adds from pages/_document:
+// the ones that link the manifest and the generated assets, and the theme
+// color, Apple and Windows tile tags whose content matches the `shortName`
+// and `themeColor` setup wrote. A _document the setup created is deleted
+// once its <Head> is empty.
+function stripDocumentHead(source, { file, assetUrls, shortName, themeColor }) {
+  const ast = parseSource(source, file);
+  const head = findHeadElement(ast);
+  if (!head) return { status: "none", content: source };
+
+  const tags = head.children.filter(
+    (child) =>
+      child.type === "JSXElement" &&
+      ["link", "meta"].includes(child.openingElement.name.name)
+  );
+  const generated = {
+    "apple-mobile-web-app-capable": "yes",
+    "apple-mobile-web-app-status-bar-style": "default",
+    "apple-mobile-web-app-title": shortName,
+    "msapplication-TileColor": themeColor,
+  };
+  const isSetupColor = (attrs) =>
+    attrs.name === "theme-color" &&
+    Boolean(themeColor) &&
+    attrs.content === themeColor &&
+    [undefined, LIGHT_SCHEME].includes(attrs.media);
+  // The dark color is only known to be setup's next to its light color
+  const hasSetupColors = tags.some(
+    (tag) =>
+      getJsxAttributes(tag).media === LIGHT_SCHEME &&
+      isSetupColor(getJsxAttributes(tag))
+  );
+  const removed = tags.filter((tag) => {
+    const attrs = getJsxAttributes(tag);
+    return (
+      Object.values(attrs).some((value) => assetUrls.has(value)) ||
+      (attrs.rel === "manifest" && MANIFEST_URL.test(attrs.href || "")) ||
+      isSetupColor(attrs) ||
+      (hasSetupColors &&
+        attrs.name === "theme-color" &&
+        attrs.media === DARK_SCHEME) ||
+      (attrs.name in generated &&
+        generated[attrs.name] !== undefined &&
+        attrs.content === generated[attrs.name])
+    );
+  });
+  const twitterImages = removed.some(
+    (tag) => getJsxAttributes(tag).name === "twitter:image"
+  );
+  const card = tags.find(
+    (tag) => getJsxAttributes(tag).name === "twitter:card"
+  );
+  if (twitterImages && card) removed.push(card);
+  if (removed.length === 0) return { status: "none", content: source };
+
+  const content = applyEdits(
+    source,
+    getRemovalEdits(
+      source,
+      tags,
+      tags.map((tag) => removed.includes(tag))
+    )
+  );
+  const empty = createDocumentSource([]).replace(/<Head>\n\n/, "<Head>\n");
+  return content === empty
+    ? { status: "delete", content }
+    : { status: "stripped", content };
+}
+
+// Works out which files carry the PWA metadata for a detected structure:
+// the App Router root layout and, in Pages Router or hybrid projects,
+// pages/_document. Apps without an app/layout have their root layouts in
+// a segment such as app/[locale]. With `localeManifests`, those `[locale]`
+// layouts link the manifest of their locale; `nested` ones only need that,
+// the root layout above them has the rest.
+function findMetadataTargets(structure, { localeManifests = false } = {}) {
+  const targets = [];
+  if (!structure) return targets;
+
+  const layout = structure.appDir && findFile(structure.appDir, "layout");
+  if (layout) targets.push({ type: "layout", file: layout, exists: true });
+  if (structure.appDir && (localeManifests || !layout)) {
+    for (const { param, file } of findParamLayouts(structure.appDir)) {
+      targets.push({
+        type: "layout",
+        file,
+        exists: true,
+        param: localeManifests ? param : undefined,
+        nested: Boolean(layout),
+      });
+    }
+  }
+
+  if (structure.pagesDir) {
+    const document = findFile(structure.pagesDir, "_document");
+    if (document) {
+      targets.push({ type: "document", file: document, exists: true });
+    } else {
+      const ext = fs.existsSync("tsconfig.json") ? ".tsx" : ".js";
+      targets.push({
+        type: "document",
+        file: path.join(structure.pagesDir, `_document${ext}`),
+        exists: false,
+      });
+    }
+  }
+
+  return targets;
+}
+
+// Layouts get the theme color in `export const viewport`. A layout whose
+// viewport can't be patched still gets the metadata, with a warning.
+function injectIntoLayout(target, details, manifestType) {
+  const source = fs.readFileSync(target.file, "utf8");
+  const metadata = getPwaMetadata({
+    ...details,
+    manifestUrl:
+      manifestType === "route" || target.param
+        ? undefined
+        : details.manifestUrl,
+  });
+  const result = target.param
+    ? patchLocaleLayoutMetadata(source, {
+        file: target.file,
+        param: target.param,
+        metadata: target.nested ? {} : metadata,
+      })
+    : patchLayoutMetadata(source, { file: target.file, metadata });
+  if (target.nested) return result;
+
+  let viewport;
+  try {
+    viewport = patchLayoutViewport(result.content, {
+      file: target.file,
+      viewport: getPwaViewport(details),
+    });
+  } catch (error) {
+    return { ...result, warning: error.message };
+  }
+  if (viewport.status === "already") return result;
+  return {
+    status: result.status === "already" ? "merged" : result.status,
+    content: viewport.content,
+  };
+}
+
+function injectIntoTarget(target, details, manifestType) {
+  if (target.type === "layout") {
+    return injectIntoLayout(target, details, manifestType);
+  }
+
+  const tags = getPwaHeadTags(details);
+  if (!target.exists) {
+    return { status: "created", content: createDocumentSource(tags) };
+  }
+
+  const source = fs.readFileSync(target.file, "utf8");
+  return patchDocumentHead(source, { file: target.file, tags });
+}
+
+// Adds the PWA metadata to the layout and/or _document. Returns one result
+// per file with the patched contents, or the error that file ran into, and
+// a `warning` when part of it had to be left out; the caller decides
+// whether and how to write them. `localeManifests` points `[locale]`
+// layouts to public/manifest.<locale>.json.
+function injectPwaMetadata({
+  structure,
+  assets,
+  assetUrl,
+  manifestInfo,
+  manifestType = "json",
+  localeManifests = false,
+}) {
+  const targets = findMetadataTargets(structure, { localeManifests });
+  if (targets.length === 0) {
+    throw new Error("No app/layout or pages directory found");
+  }
+
+  const details = {
+    assets: getHeadAssets(assets, assetUrl),
+    shortName: manifestInfo.shortName,
+    themeColor: manifestInfo.themeColor,
+    darkThemeColor: manifestInfo.darkThemeColor,
+    manifestUrl: MANIFEST_URLS[manifestType],
+  };
+
+  return targets.map((target) => {
+    try {
+      return {
+        file: target.file,
+        ...injectIntoTarget(target, details, manifestType),
+      };
+    } catch (error) {
+      return { file: target.file, error };
+    }
+  });
+}
+
+// Takes the PWA metadata back out of the layouts and _document, the
+// counterpart of injectPwaMetadata. `assets` are the generated files, only
+// metadata that links them is removed, along with the manifest link and the
+// other tags the setup adds, whose values are read back from the manifest it
+// built from the same details. Each result has status "stripped", "none"
+// when there was nothing to remove, or "delete" for a _document the setup
+// created, or the error that file ran into.
+function removePwaMetadata({ structure, assets, assetUrl }) {
+  const assetUrls = new Set(assets.map((asset) => assetUrl(asset.name)));
+  const manifest = readProjectManifest(structure) || {};
+  const setup = {
+    shortName: manifest.short_name,
+    themeColor: manifest.theme_color,
+  };
+  return findMetadataTargets(structure, { localeManifests: true })
+    .filter((target) => target.exists)
+    .map((target) => {
+      try {
+        const strip =
+          target.type === "layout" ? stripLayoutMetadata : stripDocumentHead;
+        const source = fs.readFileSync(target.file, "utf8");
+        return {
+          file: target.file,
+          ...strip(source, { file: target.file, assetUrls, ...setup }),
+        };
+      } catch (error) {
+        return { file: target.file, error };
+      }
+    });
+}
+
+module.exports = {
+  getPwaMetadata,
+  getPwaViewport,
+  getPwaHeadTags,
+  renderTag,
+  patchLayoutMetadata,
+  patchLocaleLayoutMetadata,
+  patchLayoutViewport,
+  patchDocumentHead,
+  createDocumentSource,
+  findMetadataTargets,
+  injectPwaMetadata,
+  stripLayoutMetadata,
+  stripDocumentHead,
+  removePwaMetadata,
+};
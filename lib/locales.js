@@ -0,0 +1,142 @@
+const fs = require("fs");
+const { parseSource, walk, toValue } = require("./ast");
+const { findNextConfig } = require("./next-config");
+const { TEXT_DIRECTIONS, parseList } = require("./manifest");
+
+// Languages written right to left, by their primary subtag
+const RTL_LANGUAGES = [
+  "ar",
+  "arc",
+  "ckb",
+  "dv",
+  "fa",
+  "he",
+  "ks",
+  "ps",
+  "sd",
+  "ug",
+  "ur",
+  "yi",
+];
+
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+function getTextDirection(locale) {
+  return RTL_LANGUAGES.includes(locale.split("-")[0].toLowerCase())
+    ? "rtl"
+    : "ltr";
+}
+
+function getLocaleManifestFile(locale) {
+  return `public/manifest.${locale}.json`;
+}
+
+// The `i18n` setting of next.config, when it's written as a literal.
+// Returns null when there's none or it's computed.
+function readNextI18n() {
+  const file = findNextConfig();
+  if (!file) return null;
+
+  let i18n = null;
+  try {
+    const ast = parseSource(fs.readFileSync(file, "utf8"), file);
+    walk(ast.program, (node) => {
+      if (i18n) return false;
+      if (
+        node.type === "ObjectProperty" &&
+        !node.computed &&
+        (node.key.name === "i18n" || node.key.value === "i18n")
+      ) {
+        i18n = toValue(node.value);
+        return false;
+      }
+      return undefined;
+    });
+  } catch {
+    return null;
+  }
+  return i18n && Array.isArray(i18n.locales) ? i18n : null;
+}
+
+// Turns the `locales` option into one entry per locale. It's a list of
+// locale codes, or an object of the names and descriptions keyed by locale:
+// { "fr": { "name": "...", "shortName": "...", "description": "..." } }.
+// `dir` defaults to the locale's text direction.
+function resolveLocales(locales, defaultLocale) {
+  const entries =
+    locales && typeof locales === "object" && !Array.isArray(locales)
+      ? Object.entries(locales)
+      : parseList(locales).map((locale) => [locale, {}]);
+  if (entries.length === 0) return null;
+
+  const resolved = entries.map(([locale, texts]) => {
+    if (!LOCALE_PATTERN.test(locale)) {
+      throw new Error(`Invalid locale "${locale}", expected a code like fr-CA`);
+    }
+    const { name, shortName, description, dir } = texts || {};
+    if (dir && !TEXT_DIRECTIONS.includes(dir)) {
+      throw new Error(
+        `Locale ${locale} has text direction "${dir}", expected ${TEXT_DIRECTIONS.join(
+          ", "
+        )}`
+      );
+    }
+    return {
+      locale,
+      name,
+      shortName,
+      description,
+      dir: dir || getTextDirection(locale),
+    };
+  });
+
+  const fallback = defaultLocale || resolved[0].locale;
+  if (!resolved.some(({ locale }) => locale === fallback)) {
+    throw new Error(
+      `The default locale ${fallback} isn't one of the locales ${resolved
+        .map(({ locale }) => locale)
+        .join(", ")}`
+    );
+  }
+  return { locales: resolved, defaultLocale: fallback };
+}
+
+// The app details and manifest details for one locale. Texts the locale
+// doesn't have fall back to the default ones.
+function getLocaleManifestOptions(locale, manifestInfo, details) {
+  return {
+    manifestInfo: {
+      ...manifestInfo,
+      name: locale.name || manifestInfo.name,
+      shortName: locale.shortName || locale.name || manifestInfo.shortName,
+      description: locale.description || manifestInfo.description,
+    },
+    details: { ...details, lang: locale.locale, dir: locale.dir },
+  };
+}
+
+// The manifest `translations` member, with the texts of every locale but
+// the default one, which is the manifest's own.
+function getManifestTranslations(locales, defaultLocale) {
+  return Object.fromEntries(
+    locales
+      .filter(({ locale }) => locale !== defaultLocale)
+      .map(({ locale, name, shortName, description }) => [
+        locale,
+        {
+          name,
+          short_name: shortName || name,
+          description,
+        },
+      ])
+  );
+}
+
+module.exports = {
+  getTextDirection,
+  getLocaleManifestFile,
+  readNextI18n,
+  resolveLocales,
+  getLocaleManifestOptions,
+  getManifestTranslations,
+};
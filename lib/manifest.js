@@ -0,0 +1,361 @@
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { parseSource, walk, toValue, toJsLiteral } = require("./ast");
+const { getManifestIcons, getAssetSizes, getAssetType } = require("./assets");
+
+const MANIFEST_FILE = "public/manifest.json";
+const MANIFEST_ROUTE_EXTENSIONS = [".ts", ".js", ".tsx", ".jsx"];
+
+// Where each kind of manifest is served from
+const MANIFEST_URLS = {
+  json: "/manifest.json",
+  route: "/manifest.webmanifest",
+};
+
+const DISPLAY_MODES = ["fullscreen", "standalone", "minimal-ui", "browser"];
+const DISPLAY_OVERRIDE_MODES = [
+  "window-controls-overlay",
+  "tabbed",
+  ...DISPLAY_MODES,
+];
+const ORIENTATIONS = [
+  "any",
+  "natural",
+  "portrait",
+  "portrait-primary",
+  "portrait-secondary",
+  "landscape",
+  "landscape-primary",
+  "landscape-secondary",
+];
+const TEXT_DIRECTIONS = ["ltr", "rtl", "auto"];
+const LAUNCH_CLIENT_MODES = [
+  "auto",
+  "navigate-new",
+  "navigate-existing",
+  "focus-existing",
+];
+const SCREENSHOT_FORMATS = ["png", "jpeg", "webp"];
+const FORM_FACTORS = ["narrow", "wide"];
+
+// Chrome's limits for screenshots in the richer install UI
+const SCREENSHOT_MIN_SIZE = 320;
+const SCREENSHOT_MAX_SIZE = 3840;
+const SCREENSHOT_MAX_RATIO = 2.3;
+
+// Accepts an array or a comma-separated string.
+function parseList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  const items = Array.isArray(value) ? value : String(value).split(",");
+  return items.map((item) => String(item).trim()).filter(Boolean);
+}
+
+// Shortcuts come from config objects ({ name, url, shortName, description,
+// icon }) or `Name=/url` flags.
+function parseShortcut(spec) {
+  if (typeof spec === "string") {
+    const separator = spec.indexOf("=");
+    if (separator < 1) {
+      throw new Error(`Invalid shortcut "${spec}", expected Name=/url`);
+    }
+    return {
+      name: spec.slice(0, separator).trim(),
+      url: spec.slice(separator + 1).trim(),
+    };
+  }
+  if (!spec || !spec.name || !spec.url) {
+    throw new Error("Every shortcut needs a name and a url");
+  }
+  return spec;
+}
+
+// Reads a screenshot with sharp and checks it against Chrome's rules. The
+// form factor is inferred from the orientation when it isn't given.
+async function inspectScreenshot(spec) {
+  const { src, formFactor, label } =
+    typeof spec === "string" ? { src: spec } : spec || {};
+  if (!src) throw new Error("Every screenshot needs a src");
+  if (!fs.existsSync(src)) throw new Error(`Screenshot not found: ${src}`);
+  if (formFactor && !FORM_FACTORS.includes(formFactor)) {
+    throw new Error(
+      `Screenshot ${src} has form factor "${formFactor}", expected narrow or wide`
+    );
+  }
+
+  const { width, height, format } = await sharp(src).metadata();
+  const problems = [];
+  if (!SCREENSHOT_FORMATS.includes(format)) {
+    problems.push(`must be PNG, JPEG or WebP, not ${format}`);
+  }
+  if (Math.min(width, height) < SCREENSHOT_MIN_SIZE) {
+    problems.push(`must be at least ${SCREENSHOT_MIN_SIZE}px on each side`);
+  }
+  if (Math.max(width, height) > SCREENSHOT_MAX_SIZE) {
+    problems.push(`must be at most ${SCREENSHOT_MAX_SIZE}px on each side`);
+  }
+  if (
+    Math.max(width, height) >
+    Math.min(width, height) * SCREENSHOT_MAX_RATIO
+  ) {
+    problems.push(
+      `can't have a side more than ${SCREENSHOT_MAX_RATIO} times the other`
+    );
+  }
+
+  const inferred = width > height ? "wide" : "narrow";
+  if (formFactor === "wide" && width <= height) {
+    problems.push("is marked wide but isn't landscape");
+  } else if (formFactor === "narrow" && width >= height) {
+    problems.push("is marked narrow but isn't portrait");
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Screenshot ${src} (${width}x${height}) ${problems.join(", ")}`
+    );
+  }
+
+  return {
+    source: src,
+    width,
+    height,
+    format,
+    formFactor: formFactor || inferred,
+    label,
+  };
+}
+
+// Checks the members that are passed through from the config as written.
+function validateHandlers({ shareTarget, protocolHandlers, fileHandlers }) {
+  if (shareTarget && !shareTarget.action) {
+    throw new Error("shareTarget needs an action URL");
+  }
+  for (const handler of protocolHandlers || []) {
+    if (!/^(web\+[a-z]+|[a-z]+)$/.test(handler.protocol || "")) {
+      throw new Error(
+        `Protocol handler "${handler.protocol}" must be a scheme such as web+myapp`
+      );
+    }
+    if (!String(handler.url || "").includes("%s")) {
+      throw new Error(
+        `Protocol handler url for ${handler.protocol} must contain %s`
+      );
+    }
+  }
+  for (const handler of fileHandlers || []) {
+    if (!handler.action || !handler.accept) {
+      throw new Error("Every file handler needs an action and accept types");
+    }
+  }
+}
+
+// Turns the optional members as they're given (lists as arrays or comma
+// separated strings, shortcuts as objects or `Name=/url`, screenshots as
+// paths or objects) into what buildManifest and getAssetRegistry take.
+// Screenshots are read and checked, so this is async.
+async function resolveManifestDetails(details = {}) {
+  const resolved = {
+    ...details,
+    categories: parseList(details.categories),
+    displayOverride: parseList(details.displayOverride),
+    shortcuts: [].concat(details.shortcuts || []).map(parseShortcut),
+    screenshots: [],
+  };
+  const invalid = resolved.displayOverride.filter(
+    (mode) => !DISPLAY_OVERRIDE_MODES.includes(mode)
+  );
+  if (invalid.length > 0) {
+    throw new Error(
+      `Unknown display override ${invalid.join(
+        ", "
+      )}, expected ${DISPLAY_OVERRIDE_MODES.join(", ")}`
+    );
+  }
+  for (const screenshot of [].concat(details.screenshots || [])) {
+    resolved.screenshots.push(await inspectScreenshot(screenshot));
+  }
+  validateHandlers(resolved);
+
+  // Empty values leave the member out of the manifest
+  for (const key of ["id", "lang", "dir", "launchHandler"]) {
+    if (!resolved[key]) delete resolved[key];
+  }
+  return resolved;
+}
+
+const DEFAULT_MANIFEST_DETAILS = {
+  startUrl: "/?source=pwa",
+  display: "standalone",
+  orientation: "portrait",
+  categories: [],
+  displayOverride: [],
+  shortcuts: [],
+};
+
+// Builds the manifest from the app details, the optional members in
+// `details` and the asset registry. Members that aren't set are left out.
+function buildManifest(manifestInfo, { assets, assetUrl, details = {} }) {
+  const options = { ...DEFAULT_MANIFEST_DETAILS, ...details };
+  const byRole = (role) => assets.filter((asset) => asset.role === role);
+  const toImage = (asset) => ({
+    src: assetUrl(asset.name),
+    sizes: getAssetSizes(asset),
+    type: getAssetType(asset),
+  });
+  const orUndefined = (list) => (list.length > 0 ? list : undefined);
+
+  return {
+    id: options.id,
+    name: manifestInfo.name,
+    short_name: manifestInfo.shortName,
+    description: manifestInfo.description,
+    lang: options.lang,
+    dir: options.dir,
+    translations: options.translations,
+    theme_color: manifestInfo.themeColor,
+    background_color: manifestInfo.backgroundColor,
+    display: options.display,
+    display_override: orUndefined(options.displayOverride),
+    orientation: options.orientation,
+    scope: "/",
+    start_url: options.startUrl,
+    categories: orUndefined(options.categories),
+    icons: getManifestIcons(assets, assetUrl),
+    shortcuts: orUndefined(
+      options.shortcuts.map((shortcut, index) => ({
+        name: shortcut.name,
+        short_name: shortcut.shortName,
+        description: shortcut.description,
+        url: shortcut.url,
+        icons: orUndefined(
+          byRole("shortcut")
+            .filter((asset) => asset.shortcut === index)
+            .map(toImage)
+        ),
+      }))
+    ),
+    screenshots: orUndefined(
+      byRole("screenshot").map((asset) => ({
+        ...toImage(asset),
+        form_factor: asset.formFactor,
+        label: asset.label,
+      }))
+    ),
+    share_target: options.shareTarget,
+    protocol_handlers: options.protocolHandlers,
+    file_handlers: options.fileHandlers,
+    launch_handler: options.launchHandler
+      ? { client_mode: options.launchHandler }
+      : undefined,
+  };
+}
+
+function getManifestRouteFile(appDir, typescript) {
+  return path.join(appDir, typescript ? "manifest.ts" : "manifest.js");
+}
+
+function findManifestRoute(appDir) {
+  if (!appDir) return null;
+  for (const ext of MANIFEST_ROUTE_EXTENSIONS) {
+    const file = path.join(appDir, `manifest${ext}`);
+    if (fs.existsSync(file)) return file;
+  }
+  return null;
+}
+
+// Source of an app/manifest.ts metadata route returning `manifest`.
+// Next's Manifest type has no `translations` member, so a manifest with
+// translations is cast to the type with it added.
+function createManifestRouteSource(manifest, { typescript }) {
+  const body = toJsLiteral(manifest, "  ");
+  if (typescript) {
+    const cast = manifest.translations
+      ? ` as MetadataRoute.Manifest & {
+    translations: Record<
+      string,
+      { name?: string; short_name?: string; description?: string }
+    >;
+  }`
+      : "";
+    return `import type { MetadataRoute } from "next";
+
+export default function manifest(): MetadataRoute.Manifest {
+  return ${body}${cast};
+}
+`;
+  }
+
+  return `/** @returns {import("next").MetadataRoute.Manifest} */
+export default function manifest() {
+  return ${body};
+}
+`;
+}
+
+// Reads the manifest a metadata route returns, when it's a plain object
+// literal. Returns null for anything computed at runtime.
+function readManifestRoute(source, file) {
+  const ast = parseSource(source, file);
+  let returned = null;
+  walk(ast.program, (node) => {
+    if (node.type === "ExportDefaultDeclaration") {
+      walk(node.declaration, (inner) => {
+        if (inner.type === "ReturnStatement" && inner.argument && !returned) {
+          returned = inner.argument;
+        }
+        if (
+          inner.type === "ArrowFunctionExpression" &&
+          inner.body.type !== "BlockStatement"
+        ) {
+          returned = inner.body;
+        }
+      });
+      return false;
+    }
+    return true;
+  });
+
+  if (!returned) return null;
+  try {
+    return toValue(returned);
+  } catch {
+    return null;
+  }
+}
+
+// The project's manifest, from the metadata route or public/manifest.json.
+// Null when there's none or it can't be read statically.
+function readProjectManifest(structure) {
+  const route = findManifestRoute(structure && structure.appDir);
+  try {
+    if (route) return readManifestRoute(fs.readFileSync(route, "utf8"), route);
+    if (fs.existsSync(MANIFEST_FILE)) {
+      return JSON.parse(fs.readFileSync(MANIFEST_FILE, "utf8"));
+    }
+  } catch {
+    // Treated like a missing manifest, doctor reports the details
+  }
+  return null;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  MANIFEST_URLS,
+  DISPLAY_MODES,
+  DISPLAY_OVERRIDE_MODES,
+  ORIENTATIONS,
+  TEXT_DIRECTIONS,
+  LAUNCH_CLIENT_MODES,
+  parseList,
+  parseShortcut,
+  inspectScreenshot,
+  validateHandlers,
+  resolveManifestDetails,
+  buildManifest,
+  getManifestRouteFile,
+  findManifestRoute,
+  createManifestRouteSource,
+  readManifestRoute,
+  readProjectManifest,
+};
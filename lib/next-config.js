@@ -0,0 +1,360 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  parseSource,
+  walk,
+  isRequireCall,
+  importsAny,
+  isEsModule,
+  findImportInsertionPoint,
+  applyEdits,
+  getStatementRange,
+  toJsLiteral,
+  unwrapTypeExpression,
+} = require("./ast");
+
+const NEXT_CONFIG_FILES = [
+  "next.config.ts",
+  "next.config.mjs",
+  "next.config.js",
+  "next.config.cjs",
+];
+
+// Packages whose presence means PWA support is already wired into the config
+const PWA_PACKAGES = ["next-pwa", "@ducanh2912/next-pwa", "@serwist/next"];
+
+const nextPwaPlugin = {
+  packageName: "next-pwa",
+  initName: "withPWAInit",
+  wrapper: "withPWA",
+  options: {
+    dest: "public",
+    register: true,
+    skipWaiting: true,
+  },
+};
+
+function findNextConfig() {
+  return NEXT_CONFIG_FILES.find((file) => fs.existsSync(file)) || null;
+}
+
+function getDefaultConfigFile(packageJson) {
+  return packageJson.type === "module" ? "next.config.mjs" : "next.config.js";
+}
+
+function isEsmConfigFile(file, ast) {
+  const ext = path.extname(file);
+  if (ext === ".mjs" || ext === ".ts") return true;
+  if (ext === ".cjs") return false;
+  return ast ? isEsModule(ast) : false;
+}
+
+function createNextConfigSource(file) {
+  if (path.extname(file) === ".ts") {
+    return `import type { NextConfig } from "next";
+
+const nextConfig: NextConfig = {
+  reactStrictMode: true,
+};
+
+export default nextConfig;
+`;
+  }
+
+  const exportStatement = isEsmConfigFile(file)
+    ? "export default nextConfig;"
+    : "module.exports = nextConfig;";
+
+  return `/** @type {import('next').NextConfig} */
+const nextConfig = {
+  reactStrictMode: true,
+};
+
+${exportStatement}
+`;
+}
+
+function isModuleExports(node) {
+  return (
+    node.type === "MemberExpression" &&
+    node.object.type === "Identifier" &&
+    node.object.name === "module" &&
+    node.property.type === "Identifier" &&
+    node.property.name === "exports"
+  );
+}
+
+function findConfigExports(ast) {
+  const found = [];
+  for (const node of ast.program.body) {
+    if (node.type === "ExportDefaultDeclaration") {
+      found.push({ kind: "esm", node: node.declaration });
+    } else if (
+      node.type === "ExpressionStatement" &&
+      node.expression.type === "AssignmentExpression" &&
+      node.expression.operator === "=" &&
+      isModuleExports(node.expression.left)
+    ) {
+      found.push({ kind: "cjs", node: node.expression.right });
+    }
+  }
+  return found;
+}
+
+const FUNCTION_TYPES = [
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+  "ClassDeclaration",
+];
+
+function isFunctionConfig(node, ast) {
+  const value = unwrapTypeExpression(node);
+  if (FUNCTION_TYPES.includes(value.type)) return true;
+  if (value.type !== "Identifier") return false;
+
+  return ast.program.body.some((statement) => {
+    if (statement.type === "FunctionDeclaration") {
+      return statement.id && statement.id.name === value.name;
+    }
+    if (statement.type !== "VariableDeclaration") return false;
+    return statement.declarations.some(
+      (declaration) =>
+        declaration.id.type === "Identifier" &&
+        declaration.id.name === value.name &&
+        declaration.init &&
+        FUNCTION_TYPES.includes(unwrapTypeExpression(declaration.init).type)
+    );
+  });
+}
+
+function getPluginInit(plugin, esm) {
+  const options = toJsLiteral(plugin.options);
+  return esm
+    ? {
+        importLine: `import ${plugin.initName} from "${plugin.packageName}";`,
+        setup: `const ${plugin.wrapper} = ${plugin.initName}(${options});`,
+      }
+    : {
+        importLine: null,
+        setup: `const ${plugin.wrapper} = require("${plugin.packageName}")(${options});`,
+      };
+}
+
+// Wraps the exported config of an existing next.config.* file with the PWA
+// plugin. Throws when the file can't be transformed without guessing.
+function patchNextConfig(source, { file, plugin = nextPwaPlugin }) {
+  const ast = parseSource(source, file);
+
+  if (importsAny(ast, PWA_PACKAGES)) {
+    return { status: "already", content: source };
+  }
+
+  const configExports = findConfigExports(ast);
+  if (configExports.length === 0) {
+    throw new Error(
+      `${file} has no \`module.exports =\` or \`export default\` to wrap`
+    );
+  }
+  if (configExports.length > 1) {
+    throw new Error(`${file} exports its config more than once`);
+  }
+
+  const [{ kind, node }] = configExports;
+  if (isFunctionConfig(node, ast)) {
+    throw new Error(
+      `${file} exports a function, wrap the config it returns with ${plugin.wrapper}() manually`
+    );
+  }
+
+  const esm = kind === "esm" || isEsmConfigFile(file, ast);
+  const { importLine, setup } = getPluginInit(plugin, esm);
+  const insertion = findImportInsertionPoint(ast, source);
+
+  let text;
+  if (insertion.position === "before") {
+    text = `${[importLine, setup].filter(Boolean).join("\n\n")}\n\n`;
+  } else if (importLine && insertion.afterImport) {
+    // Keep the new import in the existing import block
+    text = `\n${importLine}\n\n${setup}`;
+  } else {
+    text = `\n\n${[importLine, setup].filter(Boolean).join("\n\n")}`;
+  }
+
+  const content = applyEdits(source, [
+    { start: insertion.offset, end: insertion.offset, text },
+    {
+      start: node.start,
+      end: node.end,
+      text: `${plugin.wrapper}(${source.slice(node.start, node.end)})`,
+    },
+  ]);
+
+  return { status: "patched", content };
+}
+
+// The names the config binds the PWA plugin to: `inits` for the imported
+// or required init function and `wrappers` for what it returns, as in
+// `const withPWA = withPWAInit({...})`. `statements` are the ones importing
+// or setting up the plugin, and `isWrapperCall` matches `withPWA(config)`
+// and `withPWAInit({...})(config)`.
+function findPluginBindings(ast) {
+  const inits = new Set();
+  const wrappers = new Set();
+  const statements = [];
+  const isInitCall = (node) =>
+    node.type === "CallExpression" &&
+    ((node.callee.type === "Identifier" && inits.has(node.callee.name)) ||
+      isRequireCall(node.callee, PWA_PACKAGES));
+
+  for (const statement of ast.program.body) {
+    if (
+      statement.type === "ImportDeclaration" &&
+      PWA_PACKAGES.includes(statement.source.value)
+    ) {
+      statement.specifiers.forEach((specifier) =>
+        inits.add(specifier.local.name)
+      );
+      statements.push(statement);
+      continue;
+    }
+    if (
+      statement.type !== "VariableDeclaration" ||
+      statement.declarations.length !== 1
+    ) {
+      continue;
+    }
+    const [{ id, init }] = statement.declarations;
+    if (id.type !== "Identifier" || !init) continue;
+    if (isRequireCall(init, PWA_PACKAGES)) {
+      inits.add(id.name);
+    } else if (isInitCall(init)) {
+      wrappers.add(id.name);
+    } else {
+      continue;
+    }
+    statements.push(statement);
+  }
+
+  const isWrapperCall = (node) =>
+    node.type === "CallExpression" &&
+    node.arguments.length === 1 &&
+    ((node.callee.type === "Identifier" && wrappers.has(node.callee.name)) ||
+      isInitCall(node.callee));
+  return { inits, wrappers, statements, isWrapperCall };
+}
+
+// Takes the PWA plugin back out of next.config: removes its import and the
+// `const withPWA = withPWAInit({...})` setup, and replaces `withPWA(config)`
+// with the config itself. Status "none" when no PWA plugin is imported.
+// Throws when the plugin is used in a way that can't be undone safely.
+function unwrapNextConfig(source, { file }) {
+  const ast = parseSource(source, file);
+  if (!importsAny(ast, PWA_PACKAGES)) {
+    return { status: "none", content: source };
+  }
+
+  const { inits, wrappers, statements, isWrapperCall } =
+    findPluginBindings(ast);
+  const edits = statements.map((statement) => ({
+    ...getStatementRange(source, statement),
+    text: "",
+  }));
+
+  let unwrapped = 0;
+  walk(ast.program, (node) => {
+    if (isWrapperCall(node)) {
+      const [config] = node.arguments;
+      edits.push({
+        start: node.start,
+        end: node.end,
+        text: source.slice(config.start, config.end),
+      });
+      unwrapped += 1;
+      return false;
+    }
+    return undefined;
+  });
+  if (unwrapped === 0) {
+    throw new Error(
+      `${file} imports a PWA plugin but doesn't wrap its config with it, remove it manually`
+    );
+  }
+
+  const content = applyEdits(source, edits);
+  const names = [...inits, ...wrappers];
+  const result = parseSource(content, file);
+  let leftover = importsAny(result, PWA_PACKAGES) ? "the PWA plugin" : null;
+  walk(result.program, (node) => {
+    if (!leftover && node.type === "Identifier" && names.includes(node.name)) {
+      leftover = node.name;
+    }
+  });
+  if (leftover) {
+    throw new Error(
+      `${file} still uses ${leftover} elsewhere, remove the PWA plugin manually`
+    );
+  }
+  return { status: "unwrapped", content };
+}
+
+// Reports whether the config imports a PWA plugin and whether the exported
+// config is wrapped with it, following other plugins and variables:
+// withBundleAnalyzer(withPWA(nextConfig)), or `export default nextConfig`
+// where nextConfig = withPWA({...}).
+function inspectNextConfig(source, file) {
+  const ast = parseSource(source, file);
+  const configExports = findConfigExports(ast);
+  const { isWrapperCall } = findPluginBindings(ast);
+
+  const declarations = new Map();
+  for (const statement of ast.program.body) {
+    if (statement.type !== "VariableDeclaration") continue;
+    for (const declaration of statement.declarations) {
+      if (declaration.id.type === "Identifier" && declaration.init) {
+        declarations.set(declaration.id.name, declaration.init);
+      }
+    }
+  }
+
+  const followed = new Set();
+  const wraps = (expression) => {
+    const node = unwrapTypeExpression(expression);
+    if (node.type === "Identifier") {
+      if (followed.has(node.name) || !declarations.has(node.name)) {
+        return false;
+      }
+      followed.add(node.name);
+      return wraps(declarations.get(node.name));
+    }
+    if (node.type !== "CallExpression") return false;
+    return isWrapperCall(node) || node.arguments.some(wraps);
+  };
+
+  return {
+    hasPlugin: importsAny(ast, PWA_PACKAGES),
+    wrapped: configExports.length === 1 && wraps(configExports[0].node),
+  };
+}
+
+// Snippet shown when the config has to be wrapped by hand.
+function getManualConfigSnippet(file, plugin = nextPwaPlugin) {
+  const esm = isEsmConfigFile(file);
+  const { importLine, setup } = getPluginInit(plugin, esm);
+  return `${[importLine, setup].filter(Boolean).join("\n\n")}
+
+${esm ? "export default" : "module.exports ="} ${plugin.wrapper}(nextConfig);`;
+}
+
+module.exports = {
+  NEXT_CONFIG_FILES,
+  PWA_PACKAGES,
+  nextPwaPlugin,
+  findNextConfig,
+  getDefaultConfigFile,
+  createNextConfigSource,
+  patchNextConfig,
+  unwrapNextConfig,
+  inspectNextConfig,
+  getManualConfigSnippet,
+};
@@ -0,0 +1,111 @@
+const fs = require("fs");
+const path = require("path");
+const { getTextColor } = require("./images");
+
+const OFFLINE_URL = "/offline";
+const PAGE_EXTENSIONS = [".tsx", ".jsx", ".ts", ".js"];
+
+// The offline page lives in the App Router when there is one, otherwise in
+// the Pages Router.
+function getOfflinePage(structure, typescript) {
+  const ext = typescript ? ".tsx" : ".jsx";
+  if (structure.appDir) {
+    const dir = path.join(structure.appDir, "offline");
+    return {
+      router: "app",
+      file: path.join(dir, `page${ext}`),
+      candidates: PAGE_EXTENSIONS.map((candidate) =>
+        path.join(dir, `page${candidate}`)
+      ),
+    };
+  }
+  return {
+    router: "pages",
+    file: path.join(structure.pagesDir, `offline${ext}`),
+    candidates: PAGE_EXTENSIONS.flatMap((candidate) => [
+      path.join(structure.pagesDir, `offline${candidate}`),
+      path.join(structure.pagesDir, "offline", `index${candidate}`),
+    ]),
+  };
+}
+
+function findOfflinePage(page) {
+  return page.candidates.find((file) => fs.existsSync(file)) || null;
+}
+
+// A page without client-side JavaScript, so it renders from the precache
+// even when the app's chunks aren't cached.
+function createOfflinePageSource({
+  router,
+  typescript,
+  name,
+  themeColor,
+  backgroundColor,
+}) {
+  const metadata =
+    router === "app"
+      ? `${
+          typescript ? 'import type { Metadata } from "next";\n\n' : ""
+        }export const metadata${typescript ? ": Metadata" : ""} = {
+  title: "Offline",
+};
+
+`
+      : "";
+  const head =
+    router === "pages"
+      ? `
+      <Head>
+        <title>Offline</title>
+      </Head>`
+      : "";
+  const headImport =
+    router === "pages" ? 'import Head from "next/head";\n\n' : "";
+
+  return `${headImport}${metadata}export default function OfflinePage() {
+  return (
+    <main
+      style={{
+        minHeight: "100vh",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: "1rem",
+        padding: "2rem",
+        textAlign: "center",
+        fontFamily: "system-ui, sans-serif",
+        background: ${JSON.stringify(backgroundColor)},
+        color: ${JSON.stringify(getTextColor(backgroundColor))},
+      }}
+    >${head}
+      <h1 style={{ margin: 0 }}>You are offline</h1>
+      <p style={{ margin: 0 }}>
+        {${JSON.stringify(name)}} cannot reach the network right now. Check
+        your connection and try again.
+      </p>
+      {/* Reloads the URL this page stands in for, through the service worker */}
+      <a
+        href=""
+        style={{
+          padding: "0.75rem 1.5rem",
+          borderRadius: "0.5rem",
+          background: ${JSON.stringify(themeColor)},
+          color: ${JSON.stringify(getTextColor(themeColor))},
+          textDecoration: "none",
+        }}
+      >
+        Try again
+      </a>
+    </main>
+  );
+}
+`;
+}
+
+module.exports = {
+  OFFLINE_URL,
+  getOfflinePage,
+  findOfflinePage,
+  createOfflinePageSource,
+};
@@ -0,0 +1,295 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const prompts = require("prompts");
+const chalk = require("chalk");
+
+const CONFIG_FILES = ["pwa.config.json", "simple-pwa.config.js"];
+
+const cliOptions = {
+  app: { type: "string" },
+  structure: { type: "string" },
+  assets: { type: "string" },
+  logo: { type: "string" },
+  "skip-assets": { type: "boolean" },
+  "skip-offline": { type: "boolean" },
+  force: { type: "boolean" },
+  concurrency: { type: "string" },
+  caching: { type: "string" },
+  "cache-route": { type: "string", multiple: true },
+  components: { type: "boolean" },
+  "vapid-subject": { type: "string" },
+  name: { type: "string" },
+  "short-name": { type: "string" },
+  description: { type: "string" },
+  "theme-color": { type: "string" },
+  "background-color": { type: "string" },
+  "dark-mode": { type: "boolean" },
+  "dark-logo": { type: "string" },
+  "dark-theme-color": { type: "string" },
+  "dark-background-color": { type: "string" },
+  "package-manager": { type: "string" },
+  backend: { type: "string" },
+  manifest: { type: "string" },
+  id: { type: "string" },
+  "start-url": { type: "string" },
+  display: { type: "string" },
+  "display-override": { type: "string" },
+  orientation: { type: "string" },
+  lang: { type: "string" },
+  dir: { type: "string" },
+  categories: { type: "string" },
+  "launch-handler": { type: "string" },
+  locales: { type: "string" },
+  "default-locale": { type: "string" },
+  "locale-manifests": { type: "string" },
+  shortcut: { type: "string", multiple: true },
+  screenshot: { type: "string", multiple: true },
+  "maskable-background": { type: "string" },
+  "maskable-padding": { type: "string" },
+  "maskable-preview": { type: "boolean" },
+  "splash-logo-ratio": { type: "string" },
+  "social-template": { type: "string" },
+  palette: { type: "boolean" },
+  "splash-format": { type: "string" },
+  "social-alternates": { type: "string" },
+  "keep-metadata": { type: "boolean" },
+  budget: { type: "string" },
+  "keep-assets": { type: "boolean" },
+  "dry-run": { type: "boolean" },
+  config: { type: "string", short: "c" },
+  yes: { type: "boolean", short: "y" },
+  help: { type: "boolean", short: "h" },
+  version: { type: "boolean", short: "v" },
+};
+
+const usage = `Usage: simple-pwa [command] [options]
+
+Commands:
+  (none)                         Set up PWA support in the current project
+  undo                           Revert the changes made by the last run
+  doctor                         Check an existing PWA setup without changing it
+  push                           Add Web Push notifications with locally generated keys
+  remove                         Uninstall the PWA setup: package, config, metadata and files
+
+Options:
+  --app <dir>                    Workspace app to set up, when run from a monorepo root
+  --structure <standard|src>     Where app/ and pages/ live, if they can't be detected
+  --assets <path>                Assets directory (e.g. public/assets)
+  --logo <path>                  Generate assets from this logo (at least 512x512px)
+  --skip-assets                  Don't generate assets now
+  --name <name>                  App name
+  --short-name <name>            App short name (used on home screen)
+  --description <text>           App description
+  --theme-color <hex>            Theme color (e.g. #000000)
+  --background-color <hex>       Background color (e.g. #ffffff)
+  --dark-mode                    Add dark mode colors, with the defaults below
+  --dark-theme-color <hex>       Dark mode theme color (default: dark background color)
+  --dark-background-color <hex>  Dark mode splash screen background (default: #000000)
+  --dark-logo <path>             Logo for dark splash screens and favicon.svg
+  --package-manager <npm|yarn|pnpm|bun>
+  --backend <ducanh2912|serwist|next-pwa|manifest-only>
+                                 Service worker setup (default: ducanh2912)
+  --force                        Regenerate assets even if they're unchanged
+  --concurrency <n>              Assets rendered at once (default: up to 4)
+  --skip-offline                 Don't add an offline fallback page
+  --caching <presets>            Runtime caching presets, comma-separated:
+                                 api, pages, fonts, images, static
+  --cache-route <handler:regex>  Add a runtime caching route, can be repeated
+  --components                   Add an install button and an update toast that
+                                 lets the user choose when to update
+  --vapid-subject <url>          Contact for push services with the push command,
+                                 a mailto: or https: URL
+  --manifest <json|route>        Write public/manifest.json or an app/manifest.ts route
+  --id <id>                      Manifest id
+  --start-url <path>             Start URL (default: /?source=pwa)
+  --display <mode>               fullscreen, standalone, minimal-ui or browser
+  --display-override <modes>     Comma-separated, e.g. window-controls-overlay
+  --orientation <orientation>    Orientation (default: portrait)
+  --lang <tag>                   Language, e.g. en-US
+  --dir <ltr|rtl|auto>           Text direction
+  --categories <list>            Comma-separated categories
+  --launch-handler <mode>        auto, navigate-new, navigate-existing or focus-existing
+  --locales <list>               Comma-separated locales (default: next.config i18n)
+  --default-locale <locale>      Locale of public/manifest.json (default: the first)
+  --locale-manifests <files|translations>
+                                 A manifest per locale or a translations member
+  --shortcut <name=url>          Add a shortcut, can be repeated
+  --screenshot <path>            Add a screenshot for the install UI, can be repeated
+  --maskable-background <hex>    Maskable icon background (default: background color)
+  --maskable-padding <ratio>     Space around the logo in maskable icons (default: 0.22)
+  --maskable-preview             Write .simple-pwa/maskable-preview.png with masks applied
+  --splash-logo-ratio <ratio>    Logo size on splash screens, of the shorter side (default: 0.25)
+  --social-template <centered|split|gradient>
+                                 Layout of the Open Graph and Twitter images
+  --palette                      Quantize icons to palette PNGs
+  --splash-format <png|webp>     Format of the splash screens (default: png)
+  --social-alternates <formats>  Also write social images as webp, avif or jpeg,
+                                 comma-separated
+  --keep-metadata                Copy screenshots and SVG logos as they are
+  --budget <size>                Fail when the assets add up to more, e.g. 5MB
+  --keep-assets                  Keep the generated icons and images with the remove command
+  --dry-run                      Show the planned changes without writing anything
+  -c, --config <file>            Config file (default: ${CONFIG_FILES.join(
+    " or "
+  )})
+  -y, --yes                      Use defaults for anything not supplied
+  -h, --help                     Show this help
+  -v, --version                  Show version
+
+Values not supplied as flags or in the config file are prompted for.
+When stdin is not a TTY, missing values are an error unless --yes is set.`;
+
+function toCamelCase(flag) {
+  return flag.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+function toFlag(key) {
+  return key.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+}
+
+function loadConfigFile(configPath) {
+  let file = configPath;
+  if (!file) {
+    file = CONFIG_FILES.find((name) => fs.existsSync(name));
+    if (!file) return { config: {}, file: null };
+  } else if (!fs.existsSync(file)) {
+    throw new Error(`Config file not found: ${file}`);
+  }
+
+  let config;
+  if (path.extname(file) === ".json") {
+    try {
+      config = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not parse ${file}: ${error.message}`);
+    }
+  } else {
+    config = require(path.resolve(file));
+  }
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${file} must export an object`);
+  }
+
+  return { config, file };
+}
+
+function parseCliOptions(argv) {
+  if (typeof parseArgs !== "function") {
+    throw new Error(
+      `simple-pwa needs Node.js 18.3 or later, this is ${process.version}`
+    );
+  }
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: cliOptions,
+    allowPositionals: true,
+  });
+
+  const flags = {};
+  for (const [flag, value] of Object.entries(values)) {
+    flags[toCamelCase(flag)] = value;
+  }
+
+  const { config: configPath, yes, help, version, ...rest } = flags;
+  const { config, file } =
+    help || version ? { config: {}, file: null } : loadConfigFile(configPath);
+
+  return {
+    command: positionals[0],
+    configFile: file,
+    values: { ...config, ...rest },
+    yes: Boolean(yes),
+    help: Boolean(help),
+    version: Boolean(version),
+  };
+}
+
+const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+
+function validateHexColor(value) {
+  return HEX_COLOR.test(value)
+    ? true
+    : "Please enter a valid hex color code (e.g., #000000)";
+}
+
+// Reads an option that is never prompted for, falling back to `initial`.
+function readOption(values, name, { validate, parse, initial } = {}) {
+  let value = values[name];
+  if (value === undefined || value === null) return initial;
+  if (parse) value = parse(value);
+  const result = validate ? validate(value) : true;
+  if (result !== true) {
+    throw new Error(`Invalid value for --${toFlag(name)}: ${result}`);
+  }
+  return value;
+}
+
+// Resolves a prompts question from supplied values first, then the question's
+// default (with --yes), and only prompts when stdin is interactive.
+function createAsker({
+  values = {},
+  yes = false,
+  interactive = Boolean(process.stdin.isTTY),
+} = {}) {
+  const onCancel = () => {
+    console.log(chalk.yellow("\nSetup cancelled."));
+    process.exit(0);
+  };
+
+  return async function ask(question) {
+    const { name } = question;
+    const flag = question.flag || toFlag(name);
+    const value = values[name];
+
+    if (value !== undefined && value !== null) {
+      if (question.type === "select") {
+        const allowed = question.choices.map((choice) => choice.value);
+        if (!allowed.includes(value)) {
+          throw new Error(
+            `Invalid value for --${flag}: expected one of ${allowed.join(", ")}`
+          );
+        }
+      }
+      if (question.validate) {
+        const result = question.validate(value);
+        if (result !== true) {
+          throw new Error(`Invalid value for --${flag}: ${result}`);
+        }
+      }
+      return value;
+    }
+
+    // Optional questions fall back to their default instead of failing
+    if (
+      (yes || (question.optional && !interactive)) &&
+      question.initial !== undefined
+    ) {
+      return question.type === "select"
+        ? question.choices[question.initial].value
+        : question.initial;
+    }
+
+    if (!interactive) {
+      throw new Error(
+        `Missing value for --${flag}. stdin is not a TTY, so pass it as a flag or in ${CONFIG_FILES.join(
+          "/"
+        )}.`
+      );
+    }
+
+    const response = await prompts(question, { onCancel });
+    return response[name];
+  };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  usage,
+  validateHexColor,
+  readOption,
+  loadConfigFile,
+  parseCliOptions,
+  createAsker,
+};
@@ -0,0 +1,165 @@
+// How the rendered images of each group of roles are encoded. `formats`
+// lists what the file linked from the head or manifest can be, the first
+// is the default. `alternates` are extra formats written next to it and
+// listed after it, for the places that can offer a choice.
+const OUTPUT_GROUPS = {
+  icons: {
+    roles: [
+      "favicon",
+      "icon",
+      "apple-touch",
+      "maskable",
+      "monochrome",
+      "tile",
+      "shortcut",
+    ],
+    formats: ["png"],
+    alternates: [],
+  },
+  // Safari reads WebP startup images since iOS 14
+  splash: { roles: ["splash"], formats: ["png", "webp"], alternates: [] },
+  social: {
+    roles: ["social"],
+    formats: ["png", "jpeg", "webp"],
+    alternates: ["webp", "avif", "jpeg"],
+  },
+};
+const OUTPUT_KEYS = ["format", "alternates", "palette", "colors", "quality"];
+
+function getOutputGroup(asset) {
+  return (
+    Object.keys(OUTPUT_GROUPS).find((group) =>
+      OUTPUT_GROUPS[group].roles.includes(asset.role)
+    ) || null
+  );
+}
+
+// Checks the `output` option and fills in the defaults: PNG everywhere, no
+// alternates and metadata stripped.
+function resolveOutputOptions(output = {}) {
+  const { stripMetadata = true, ...groups } = output;
+  const resolved = { stripMetadata: Boolean(stripMetadata) };
+
+  for (const [group, options] of Object.entries(groups)) {
+    const spec = OUTPUT_GROUPS[group];
+    if (!spec) {
+      throw new Error(
+        `Unknown output group "${group}", expected ${Object.keys(
+          OUTPUT_GROUPS
+        ).join(", ")}`
+      );
+    }
+    const unknown = Object.keys(options || {}).filter(
+      (key) => !OUTPUT_KEYS.includes(key)
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown ${group} output option ${unknown.join(
+          ", "
+        )}, expected ${OUTPUT_KEYS.join(", ")}`
+      );
+    }
+  }
+
+  for (const [group, spec] of Object.entries(OUTPUT_GROUPS)) {
+    const options = groups[group] || {};
+    const format = options.format || spec.formats[0];
+    if (!spec.formats.includes(format)) {
+      throw new Error(
+        `The ${group} format can be ${spec.formats.join(" or ")}, not ${format}`
+      );
+    }
+    const alternates = [].concat(options.alternates || []);
+    const unsupported = alternates.filter(
+      (alternate) => !spec.alternates.includes(alternate)
+    );
+    if (unsupported.length > 0) {
+      throw new Error(
+        spec.alternates.length > 0
+          ? `The ${group} alternates can be ${spec.alternates.join(
+              ", "
+            )}, not ${unsupported.join(", ")}`
+          : `There are no alternate formats for ${group}`
+      );
+    }
+    if (
+      options.quality !== undefined &&
+      !(
+        Number.isInteger(options.quality) &&
+        options.quality >= 1 &&
+        options.quality <= 100
+      )
+    ) {
+      throw new Error(
+        `The ${group} quality must be a whole number from 1 to 100`
+      );
+    }
+    if (
+      options.colors !== undefined &&
+      !(
+        Number.isInteger(options.colors) &&
+        options.colors >= 2 &&
+        options.colors <= 256
+      )
+    ) {
+      throw new Error(
+        `The ${group} colors must be a whole number from 2 to 256`
+      );
+    }
+
+    resolved[group] = {
+      format,
+      alternates: alternates.filter((alternate) => alternate !== format),
+      palette: Boolean(options.palette),
+      colors: options.colors,
+      quality: options.quality,
+    };
+  }
+  return resolved;
+}
+
+// The encoder settings for an asset's group, empty for the files that
+// aren't rendered images.
+function getAssetOutput(asset, output) {
+  const group = getOutputGroup(asset);
+  if (!group) return {};
+  const { palette, colors, quality } = output[group];
+  return { palette, colors, quality };
+}
+
+// Encodes a sharp pipeline as `format`. Palette PNGs are quantized to at
+// most `colors` colors, which shrinks flat icons and splash screens to a
+// fraction of their size.
+function encodeImage(image, format, { palette, colors, quality } = {}) {
+  switch (format) {
+    case "webp":
+      return image.webp({ quality }).toBuffer();
+    case "avif":
+      return image.avif({ quality }).toBuffer();
+    case "jpeg":
+      return image.jpeg({ quality, mozjpeg: true }).toBuffer();
+    default:
+      return image
+        .png(palette ? { palette: true, colors, quality } : {})
+        .toBuffer();
+  }
+}
+
+// Removes comments and editor metadata from SVGs that are copied as they
+// are, such as an SVG logo used as the pinned tab icon.
+function stripSvgMetadata(svg) {
+  return svg
+    .replace(/<\?xml[^>]*\?>\s*/g, "")
+    .replace(/<!--[\s\S]*?-->\s*/g, "")
+    .replace(/<metadata[\s\S]*?<\/metadata>\s*/g, "")
+    .replace(/<sodipodi:namedview[\s\S]*?(\/>|<\/sodipodi:namedview>)\s*/g, "");
+}
+
+module.exports = {
+  OUTPUT_GROUPS,
+  getOutputGroup,
+  resolveOutputOptions,
+  getAssetOutput,
+  encodeImage,
+  stripSvgMetadata,
+};
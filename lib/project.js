@@ -0,0 +1,227 @@
+const fs = require("fs");
+const path = require("path");
+
+// Checked in this order within a directory, the first match wins
+const LOCKFILES = [
+  { file: "yarn.lock", packageManager: "yarn" },
+  { file: "pnpm-lock.yaml", packageManager: "pnpm" },
+  { file: "package-lock.json", packageManager: "npm" },
+  { file: "bun.lockb", packageManager: "bun" },
+  { file: "bun.lock", packageManager: "bun" },
+];
+
+const INSTALL_COMMANDS = {
+  npm: {
+    add: "npm install",
+    dev: "npm install --save-dev",
+    remove: "npm uninstall",
+  },
+  yarn: { add: "yarn add", dev: "yarn add --dev", remove: "yarn remove" },
+  pnpm: { add: "pnpm add", dev: "pnpm add --save-dev", remove: "pnpm remove" },
+  bun: { add: "bun add", dev: "bun add --dev", remove: "bun remove" },
+};
+
+const IGNORED_DIRS = ["node_modules", ".git", ".next", "dist", "build"];
+
+function readPackageJson(dir) {
+  const file = path.join(dir, "package.json");
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+function dependsOnNext(packageJson) {
+  return Boolean(
+    packageJson &&
+      (packageJson.dependencies?.next || packageJson.devDependencies?.next)
+  );
+}
+
+// Looks for a lockfile in the project directory and its ancestors, so
+// workspace packages pick up the lockfile at the repository root.
+function findLockfile(dir = ".") {
+  let current = path.resolve(dir);
+  while (true) {
+    for (const lockfile of LOCKFILES) {
+      const file = path.join(current, lockfile.file);
+      if (fs.existsSync(file)) {
+        return {
+          packageManager: lockfile.packageManager,
+          file: path.relative(path.resolve(dir), file),
+        };
+      }
+    }
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+}
+
+function getInstallCommand(packageManager, packages, { dev = false } = {}) {
+  const commands = INSTALL_COMMANDS[packageManager];
+  return `${dev ? commands.dev : commands.add} ${packages.join(" ")}`;
+}
+
+function getUninstallCommand(packageManager, packages) {
+  return `${INSTALL_COMMANDS[packageManager].remove} ${packages.join(" ")}`;
+}
+
+// Reads the `packages` list from pnpm-workspace.yaml. Only the plain list
+// form is supported, which is what pnpm documents.
+function readPnpmWorkspaces(dir) {
+  const file = path.join(dir, "pnpm-workspace.yaml");
+  if (!fs.existsSync(file)) return [];
+
+  const patterns = [];
+  let inPackages = false;
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+    } else if (inPackages) {
+      const item = line.match(/^\s+-\s*["']?([^"'#]+?)["']?\s*(#.*)?$/);
+      if (item) {
+        patterns.push(item[1]);
+      } else if (/^\S/.test(line)) {
+        inPackages = false;
+      }
+    }
+  }
+  return patterns;
+}
+
+function getWorkspacePatterns(dir) {
+  const packageJson = readPackageJson(dir);
+  const workspaces = packageJson?.workspaces;
+  const patterns = [
+    ...(Array.isArray(workspaces) ? workspaces : workspaces?.packages || []),
+    ...readPnpmWorkspaces(dir),
+  ];
+  if (patterns.length > 0) return patterns;
+
+  // Turborepo relies on package manager workspaces, Nx defaults to apps/
+  if (fs.existsSync(path.join(dir, "nx.json"))) {
+    const nx = JSON.parse(fs.readFileSync(path.join(dir, "nx.json"), "utf8"));
+    const appsDir = nx.workspaceLayout?.appsDir || "apps";
+    return [`${appsDir}/*`, "packages/*"];
+  }
+  if (fs.existsSync(path.join(dir, "turbo.json"))) {
+    return ["apps/*", "packages/*"];
+  }
+  return [];
+}
+
+function listDirs(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter(
+      (entry) =>
+        entry.isDirectory() &&
+        !entry.name.startsWith(".") &&
+        !IGNORED_DIRS.includes(entry.name)
+    )
+    .map((entry) => entry.name);
+}
+
+// Expands a workspace glob such as "apps/*" or "packages/**" into the
+// matching directories.
+function expandPattern(root, pattern) {
+  const segments = pattern
+    .replace(/^\.\//, "")
+    .replace(/\/$/, "")
+    .split("/")
+    .filter(Boolean);
+
+  function expand(dir, index) {
+    if (index === segments.length) return [dir];
+    const segment = segments[index];
+
+    if (segment === "**") {
+      return [
+        ...expand(dir, index + 1),
+        ...listDirs(path.join(root, dir)).flatMap((name) =>
+          expand(path.join(dir, name), index)
+        ),
+      ];
+    }
+    if (segment.includes("*")) {
+      const matcher = new RegExp(
+        `^${segment
+          .split("*")
+          .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+          .join(".*")}$`
+      );
+      return listDirs(path.join(root, dir))
+        .filter((name) => matcher.test(name))
+        .flatMap((name) => expand(path.join(dir, name), index + 1));
+    }
+    return fs.existsSync(path.join(root, dir, segment))
+      ? expand(path.join(dir, segment), index + 1)
+      : [];
+  }
+
+  return expand(".", 0);
+}
+
+// Directories, relative to `root`, of the Next.js apps to choose from: the
+// root itself when it's a Next.js project, otherwise every workspace package
+// that depends on next.
+function findNextApps(root = ".") {
+  if (dependsOnNext(readPackageJson(root))) return ["."];
+
+  const patterns = getWorkspacePatterns(root);
+  const excluded = patterns
+    .filter((pattern) => pattern.startsWith("!"))
+    .flatMap((pattern) => expandPattern(root, pattern.slice(1)));
+  const dirs = new Set(
+    patterns
+      .filter((pattern) => !pattern.startsWith("!"))
+      .flatMap((pattern) => expandPattern(root, pattern))
+      .filter((dir) => !excluded.includes(dir))
+  );
+
+  return [...dirs]
+    .filter((dir) => dependsOnNext(readPackageJson(path.join(root, dir))))
+    .map((dir) => dir.split(path.sep).join("/"))
+    .sort();
+}
+
+function getStructure(baseDir) {
+  const dirFor = (name) => {
+    const dir = path.join(baseDir, name);
+    return fs.existsSync(dir) ? dir : null;
+  };
+  return { baseDir, appDir: dirFor("app"), pagesDir: dirFor("pages") };
+}
+
+// Finds the App Router and Pages Router directories the way Next.js does:
+// app/ and pages/ in the project root, or in src/ when neither is in the
+// root. Both are set in hybrid projects. Returns null when there's neither.
+function detectStructure() {
+  for (const baseDir of [".", "src"]) {
+    const structure = getStructure(baseDir);
+    if (structure.appDir || structure.pagesDir) return structure;
+  }
+  return null;
+}
+
+function describeStructure({ appDir, pagesDir }) {
+  if (appDir && pagesDir) {
+    return `App Router (${appDir}) and Pages Router (${pagesDir})`;
+  }
+  return appDir ? `App Router (${appDir})` : `Pages Router (${pagesDir})`;
+}
+
+module.exports = {
+  readPackageJson,
+  findLockfile,
+  getInstallCommand,
+  getUninstallCommand,
+  findNextApps,
+  getStructure,
+  detectStructure,
+  describeStructure,
+};
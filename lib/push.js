@@ -0,0 +1,416 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { getSerwistSwSrc } = require("./backends");
+
+const ENV_FILE = ".env.local";
+const SUBSCRIBE_URL = "/api/push/subscribe";
+const SEND_SCRIPT = "scripts/send-push.mjs";
+const SEND_SCRIPT_NAME = "push:send";
+const SOURCE_EXTENSIONS = [".ts", ".js"];
+
+// Patterns that already keep .env.local out of git, create-next-app's
+// .gitignore has `.env*.local`
+const ENV_IGNORE_PATTERNS = [".env*", ".env*.local", ".env.local", "*.local"];
+
+// Whether a worker already handles push events
+const PUSH_LISTENER = /addEventListener\(\s*["']push["']/;
+
+// A P-256 key pair in the URL-safe base64 encoding web-push and
+// pushManager.subscribe use: the uncompressed public point and the raw
+// private scalar.
+function generateVapidKeys() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ec", {
+    namedCurve: "prime256v1",
+  });
+  const { x, y } = publicKey.export({ format: "jwk" });
+  const { d } = privateKey.export({ format: "jwk" });
+  return {
+    publicKey: Buffer.concat([
+      Buffer.from([4]),
+      Buffer.from(x, "base64url"),
+      Buffer.from(y, "base64url"),
+    ]).toString("base64url"),
+    privateKey: d,
+  };
+}
+
+function parseEnvFile(source) {
+  const values = {};
+  for (const line of source.split(/\r?\n/)) {
+    const match = line.match(/^\s*(?:export\s+)?([\w.]+)\s*=\s*(.*?)\s*$/);
+    if (match) values[match[1]] = match[2].replace(/^(["'])(.*)\1$/, "$2");
+  }
+  return values;
+}
+
+// Adds the variables the env file doesn't set yet. Existing keys are kept,
+// new ones would invalidate every subscription made with the old ones.
+function patchEnvFile(source, variables) {
+  const existing = parseEnvFile(source);
+  const missing = Object.entries(variables).filter(
+    ([name]) => existing[name] === undefined
+  );
+  if (missing.length === 0) return source;
+
+  const prefix = source === "" || source.endsWith("\n") ? "" : "\n";
+  const spacer = source.trim() === "" ? "" : "\n";
+  return `${source}${prefix}${spacer}# Web Push, generated by simple-pwa. Keep the private key and secret out of git.\n${missing
+    .map(([name, value]) => `${name}=${value}`)
+    .join("\n")}\n`;
+}
+
+function isEnvFileIgnored(gitignore) {
+  return gitignore
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .some((line) => ENV_IGNORE_PATTERNS.includes(line));
+}
+
+function findSource(base) {
+  return (
+    SOURCE_EXTENSIONS.map((ext) => `${base}${ext}`).find((file) =>
+      fs.existsSync(file)
+    ) || null
+  );
+}
+
+// Where the push handlers go. Serwist's worker is the app's own file, the
+// next-pwa plugins bundle worker/index into the service worker they
+// generate. `exists` is false when the file has to be created.
+function getPushWorker({ backend, structure, typescript }) {
+  if (backend.name === "serwist") {
+    const candidates = [
+      getSerwistSwSrc(structure, typescript),
+      getSerwistSwSrc(structure, !typescript),
+    ];
+    const existing = candidates.find((file) => fs.existsSync(file));
+    return { file: existing || candidates[0], exists: Boolean(existing) };
+  }
+
+  const existing = findSource(path.join("worker", "index"));
+  return {
+    file: existing || path.join("worker", typescript ? "index.ts" : "index.js"),
+    exists: Boolean(existing),
+  };
+}
+
+// The push and notificationclick listeners. Payloads are JSON with a title,
+// body, url and icon, all optional. `standalone` adds what a file of its
+// own needs for TypeScript to type `self` as the service worker.
+function createPushHandlersSource({ typescript, standalone, name, icon }) {
+  const header =
+    typescript && standalone
+      ? `/// <reference lib="webworker" />
+
+declare const self: ServiceWorkerGlobalScope;
+
+`
+      : "";
+  const footer =
+    typescript && standalone
+      ? `
+// Makes this file a module, so \`self\` above doesn't clash with the DOM's
+export {};
+`
+      : "";
+
+  return `${header}// Shows the notifications scripts/send-push.mjs sends, or any JSON payload
+// with a title, body, url and icon
+self.addEventListener("push", (event) => {
+  const data = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(data.title || ${JSON.stringify(name)}, {
+      body: data.body,
+      icon: data.icon${icon ? ` || ${JSON.stringify(icon)}` : ""},
+      data: { url: data.url || "/" },
+    })
+  );
+});
+
+// Focuses a window that's already on the notification's URL, or opens one
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data.url, self.location.origin).href;
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((windows) => {
+        const existing = windows.find((client) => client.url === url);
+        return existing ? existing.focus() : self.clients.openWindow(url);
+      })
+  );
+});
+${footer}`;
+}
+
+// Appends the handlers to an existing worker, unless it already listens
+// for push events. Returns null when there's nothing to add.
+function patchPushWorker(source, options) {
+  if (PUSH_LISTENER.test(source)) return null;
+  const separator = source.endsWith("\n") ? "\n" : "\n\n";
+  return `${source}${separator}${createPushHandlersSource({
+    ...options,
+    standalone: false,
+  })}`;
+}
+
+function createSubscribeHelperSource({ typescript }) {
+  const ts = (code) => (typescript ? code : "");
+
+  return `// pushManager.subscribe takes the VAPID public key as bytes
+function urlBase64ToUint8Array(base64${ts(": string")}) {
+  const padding = "=".repeat((4 - (base64.length % 4)) % 4);
+  const raw = atob((base64 + padding).replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+}
+
+// Asks for permission to show notifications, subscribes this browser with
+// the app's VAPID public key and saves the subscription on the server.
+// Call it from a click handler, Safari only asks in response to one, and
+// on iOS only once the app is installed to the home screen. Returns null
+// when push isn't supported or permission is denied.
+export async function subscribeToPush()${ts(
+    ": Promise<PushSubscription | null>"
+  )} {
+  if (!("serviceWorker" in navigator) || !("PushManager" in window)) {
+    return null;
+  }
+  const permission = await Notification.requestPermission();
+  if (permission !== "granted") return null;
+
+  const registration = await navigator.serviceWorker.ready;
+  const subscription =
+    (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(
+        process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY${ts(" as string")}
+      ),
+    }));
+
+  const response = await fetch(${JSON.stringify(SUBSCRIBE_URL)}, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(subscription),
+  });
+  if (!response.ok) {
+    throw new Error(\`Saving the push subscription failed (\${response.status})\`);
+  }
+  return subscription;
+}
+`;
+}
+
+// The subscribe route is a route handler with the App Router, an API route
+// otherwise.
+function getSubscribeRoute(structure, typescript) {
+  const ext = typescript ? ".ts" : ".js";
+  if (structure.appDir) {
+    const dir = path.join(structure.appDir, "api", "push", "subscribe");
+    return {
+      router: "app",
+      file: path.join(dir, `route${ext}`),
+      candidates: SOURCE_EXTENSIONS.map((candidate) =>
+        path.join(dir, `route${candidate}`)
+      ),
+    };
+  }
+  const dir = path.join(structure.pagesDir, "api", "push");
+  return {
+    router: "pages",
+    file: path.join(dir, `subscribe${ext}`),
+    candidates: SOURCE_EXTENSIONS.flatMap((candidate) => [
+      path.join(dir, `subscribe${candidate}`),
+      path.join(dir, "subscribe", `index${candidate}`),
+    ]),
+  };
+}
+
+function findSubscribeRoute(route) {
+  return route.candidates.find((file) => fs.existsSync(file)) || null;
+}
+
+// POST saves a subscription. GET lists them and DELETE removes one for the
+// send script, which has to send PUSH_API_SECRET.
+function createSubscribeRouteSource({ router, typescript }) {
+  const ts = (code) => (typescript ? code : "");
+  const store = `${
+    typescript
+      ? `type Subscription = {
+  endpoint: string;
+  expirationTime?: number | null;
+  keys: { p256dh: string; auth: string };
+};
+
+`
+      : ""
+  }// In memory, for trying push out: it's emptied when the server restarts and
+// isn't shared between instances. Use a database in production.
+const subscriptions = new Map${ts("<string, Subscription>")}();
+
+function isSubscription(value${ts(": any")})${ts(": value is Subscription")} {
+  return Boolean(value?.endpoint && value.keys?.p256dh && value.keys?.auth);
+}
+
+function isAuthorized(authorization${ts(": string | null | undefined")}) {
+  const secret = process.env.PUSH_API_SECRET;
+  return Boolean(secret) && authorization === \`Bearer \${secret}\`;
+}
+`;
+
+  if (router === "app") {
+    return `${store}
+export async function GET(request${ts(": Request")}) {
+  if (!isAuthorized(request.headers.get("authorization"))) {
+    return Response.json({ error: "Unauthorized" }, { status: 401 });
+  }
+  return Response.json([...subscriptions.values()]);
+}
+
+export async function POST(request${ts(": Request")}) {
+  const subscription = await request.json().catch(() => null);
+  if (!isSubscription(subscription)) {
+    return Response.json({ error: "Invalid subscription" }, { status: 400 });
+  }
+  subscriptions.set(subscription.endpoint, subscription);
+  return Response.json({ ok: true }, { status: 201 });
+}
+
+export async function DELETE(request${ts(": Request")}) {
+  if (!isAuthorized(request.headers.get("authorization"))) {
+    return Response.json({ error: "Unauthorized" }, { status: 401 });
+  }
+  const { endpoint } = await request.json().catch(() => ({}));
+  subscriptions.delete(endpoint);
+  return new Response(null, { status: 204 });
+}
+`;
+  }
+
+  return `${
+    typescript
+      ? 'import type { NextApiRequest, NextApiResponse } from "next";\n\n'
+      : ""
+  }${store}
+export default function handler(${
+    typescript
+      ? `
+  req: NextApiRequest,
+  res: NextApiResponse
+`
+      : "req, res"
+  }) {
+  switch (req.method) {
+    case "GET":
+      if (!isAuthorized(req.headers.authorization)) {
+        return res.status(401).json({ error: "Unauthorized" });
+      }
+      return res.status(200).json([...subscriptions.values()]);
+    case "POST":
+      if (!isSubscription(req.body)) {
+        return res.status(400).json({ error: "Invalid subscription" });
+      }
+      subscriptions.set(req.body.endpoint, req.body);
+      return res.status(201).json({ ok: true });
+    case "DELETE":
+      if (!isAuthorized(req.headers.authorization)) {
+        return res.status(401).json({ error: "Unauthorized" });
+      }
+      subscriptions.delete(req.body?.endpoint);
+      return res.status(204).end();
+    default:
+      res.setHeader("Allow", "GET, POST, DELETE");
+      return res.status(405).end();
+  }
+}
+`;
+}
+
+// A Node script that sends a notification to every stored subscription
+// with web-push, reading the keys from .env.local.
+function createSendScriptSource() {
+  return `// Sends a push notification to every subscription the app has saved.
+//
+//   node ${SEND_SCRIPT} [title] [body] [url]
+//
+// The app has to be running, set APP_URL when it isn't on localhost:3000.
+import fs from "node:fs";
+import webpush from "web-push";
+
+const env = {};
+for (const line of fs.readFileSync(${JSON.stringify(
+    ENV_FILE
+  )}, "utf8").split(/\\r?\\n/)) {
+  const match = line.match(/^\\s*(?:export\\s+)?([\\w.]+)\\s*=\\s*(.*?)\\s*$/);
+  if (match) env[match[1]] = match[2].replace(/^(["'])(.*)\\1$/, "$2");
+}
+
+const appUrl = process.env.APP_URL || "http://localhost:3000";
+const subscribeUrl = new URL(${JSON.stringify(SUBSCRIBE_URL)}, appUrl);
+const [title = "Hello", body = "This is a test notification", url = "/"] =
+  process.argv.slice(2);
+
+webpush.setVapidDetails(
+  env.VAPID_SUBJECT,
+  env.NEXT_PUBLIC_VAPID_PUBLIC_KEY,
+  env.VAPID_PRIVATE_KEY
+);
+
+const authorization = \`Bearer \${env.PUSH_API_SECRET}\`;
+
+const response = await fetch(subscribeUrl, { headers: { authorization } });
+if (!response.ok) {
+  console.error(
+    \`Couldn't list subscriptions from \${subscribeUrl} (\${response.status})\`
+  );
+  process.exit(1);
+}
+
+const subscriptions = await response.json();
+if (subscriptions.length === 0) {
+  console.log("No subscriptions yet, call subscribeToPush() in the app first.");
+}
+
+const payload = JSON.stringify({ title, body, url });
+for (const subscription of subscriptions) {
+  const host = new URL(subscription.endpoint).host;
+  try {
+    await webpush.sendNotification(subscription, payload);
+    console.log(\`Sent to \${host}\`);
+  } catch (error) {
+    // The browser unsubscribed or the subscription expired
+    if (error.statusCode === 404 || error.statusCode === 410) {
+      await fetch(subscribeUrl, {
+        method: "DELETE",
+        headers: { authorization, "Content-Type": "application/json" },
+        body: JSON.stringify({ endpoint: subscription.endpoint }),
+      });
+      console.log(\`Removed expired subscription on \${host}\`);
+    } else {
+      console.error(\`Failed to send to \${host}: \${error.message}\`);
+      process.exitCode = 1;
+    }
+  }
+}
+`;
+}
+
+module.exports = {
+  ENV_FILE,
+  SUBSCRIBE_URL,
+  SEND_SCRIPT,
+  SEND_SCRIPT_NAME,
+  generateVapidKeys,
+  parseEnvFile,
+  patchEnvFile,
+  isEnvFileIgnored,
+  getPushWorker,
+  createPushHandlersSource,
+  patchPushWorker,
+  createSubscribeHelperSource,
+  getSubscribeRoute,
+  findSubscribeRoute,
+  createSubscribeRouteSource,
+  createSendScriptSource,
+};
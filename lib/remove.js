@@ -0,0 +1,165 @@
+const fs = require("fs");
+const path = require("path");
+const { ASSET_LOCK_FILE, readAssetLock } = require("./asset-lock");
+const { getAssetRegistry } = require("./assets");
+const { BACKENDS, getSerwistSwSrc } = require("./backends");
+const { MASKABLE_PREVIEW_FILE, ROOT_FAVICON_FILE } = require("./generate");
+const {
+  MANIFEST_FILE,
+  findManifestRoute,
+  readProjectManifest,
+} = require("./manifest");
+
+const SETUP_NOTES_FILE = "PWA_SETUP.md";
+const LOCALE_MANIFEST = /^manifest\.[\w-]+\.json$/;
+
+// The service worker packages of every backend that are in package.json.
+function getInstalledPwaPackages(packageJson) {
+  const dependencies = {
+    ...(packageJson && packageJson.dependencies),
+    ...(packageJson && packageJson.devDependencies),
+  };
+  const packages = BACKENDS.flatMap((backend) => [
+    ...backend.packages,
+    ...backend.devPackages,
+  ]);
+  return [...new Set(packages)].filter((name) => dependencies[name]);
+}
+
+// Where the generated assets are: --assets, or the directory of the
+// manifest's first icon, falling back to the default public/assets.
+function findAssetsDir(structure, assetsPath) {
+  if (assetsPath) return assetsPath;
+  const manifest = readProjectManifest(structure);
+  const icon = manifest && Array.isArray(manifest.icons) && manifest.icons[0];
+  if (icon && typeof icon.src === "string" && icon.src.startsWith("/")) {
+    return path.posix.join("public", path.posix.dirname(icon.src));
+  }
+  return "public/assets";
+}
+
+// The assets the setup may have written to `assetsDir`, or linked before
+// they were generated: the files the assets lock recorded plus the registry
+// with and without dark mode. Returns registry-like entries whose `name` is
+// relative to `assetsDir`.
+function getGeneratedAssets(assetsDir, writer) {
+  const lock = readAssetLock(writer);
+  const output = lock && lock.settings && lock.settings.output;
+  const names = new Set([
+    ...getAssetRegistry({ output }).map((asset) => asset.name),
+    ...getAssetRegistry({ darkLogo: true, output }).map((asset) => asset.name),
+  ]);
+  for (const file of Object.keys((lock && lock.assets) || {})) {
+    const name = path.posix.relative(assetsDir, file);
+    if (!name.startsWith("..")) names.add(name);
+  }
+  return [...names].map((name) => ({ name }));
+}
+
+function toPattern(glob) {
+  const source = glob
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[^/]*");
+  return new RegExp(`^${source}$`);
+}
+
+// The service worker entries setup added to .gitignore. They record the
+// backend the setup used after its packages were uninstalled.
+function readRecordedIgnores(writer) {
+  if (!writer.exists(".gitignore")) return [];
+  const lines = writer
+    .readFile(".gitignore", "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim());
+  const start = lines.indexOf("# PWA service worker files");
+  if (start === -1) return [];
+  const end = lines.indexOf("", start);
+  return lines
+    .slice(start + 1, end === -1 ? undefined : end)
+    .filter((line) => line.startsWith("public/"));
+}
+
+// The files the service worker build wrote to public/, matched with the
+// .gitignore entries of the installed backends and the ones setup recorded
+// in .gitignore. Files that only look like service worker output, such as a
+// hand-written sw.js, are returned as `leftInPlace`. Serwist's entries are
+// broad, so they're only used when it's installed or recorded.
+function findServiceWorkerFiles(packages, writer) {
+  if (!fs.existsSync("public")) return { files: [], leftInPlace: [] };
+  const owned = [
+    ...BACKENDS.filter((backend) =>
+      backend.packages.some((name) => packages.includes(name))
+    ).flatMap((backend) => backend.ignore),
+    ...readRecordedIgnores(writer),
+  ].map(toPattern);
+  const lookalike = BACKENDS.filter((backend) => backend.name !== "serwist")
+    .flatMap((backend) => backend.ignore)
+    .map(toPattern);
+  const matches = (file, patterns) =>
+    patterns.some((pattern) => pattern.test(file));
+
+  const candidates = fs
+    .readdirSync("public", { withFileTypes: true })
+    .filter((entry) => entry.isFile())
+    .map((entry) => `public/${entry.name}`);
+  return {
+    files: candidates.filter((file) => matches(file, owned)),
+    leftInPlace: candidates.filter(
+      (file) => !matches(file, owned) && matches(file, lookalike)
+    ),
+  };
+}
+
+// Everything `simple-pwa remove` deletes, in the order it's listed:
+// manifests, assets, service worker files and the setup notes. With
+// `keepAssets` the assets and their lock stay. `leftInPlace` lists the
+// service worker lookalikes no known backend wrote.
+function findPwaFiles({
+  structure,
+  packages,
+  assetsDir,
+  assets,
+  keepAssets,
+  writer,
+}) {
+  const files = [];
+  const add = (file) => {
+    if (file && writer.exists(file) && !files.includes(file)) files.push(file);
+  };
+
+  add(MANIFEST_FILE);
+  if (structure) add(findManifestRoute(structure.appDir));
+  if (fs.existsSync("public")) {
+    fs.readdirSync("public")
+      .filter((name) => LOCALE_MANIFEST.test(name))
+      .forEach((name) => add(`public/${name}`));
+  }
+
+  if (!keepAssets) {
+    assets.forEach((asset) => add(path.posix.join(assetsDir, asset.name)));
+    const lock = readAssetLock(writer);
+    if (lock && lock.assets["public/favicon.ico"]) add(ROOT_FAVICON_FILE);
+    add(ASSET_LOCK_FILE);
+    add(MASKABLE_PREVIEW_FILE);
+  }
+
+  const serviceWorker = findServiceWorkerFiles(packages, writer);
+  serviceWorker.files.forEach(add);
+  if (structure && packages.includes("@serwist/next")) {
+    add(getSerwistSwSrc(structure, true));
+    add(getSerwistSwSrc(structure, false));
+  }
+
+  add(SETUP_NOTES_FILE);
+  return { files, leftInPlace: serviceWorker.leftInPlace };
+}
+
+module.exports = {
+  SETUP_NOTES_FILE,
+  getInstalledPwaPackages,
+  findAssetsDir,
+  getGeneratedAssets,
+  findServiceWorkerFiles,
+  findPwaFiles,
+};
@@ -0,0 +1,78 @@
+const { ROLE_LABELS } = require("./assets");
+
+const UNITS = { B: 1, KB: 1024, MB: 1024 * 1024 };
+
+// Sizes as bytes or with a unit, e.g. 500KB or 2.5 MB. Units are 1024
+// based, like the sizes the CLI prints.
+function parseBytes(value) {
+  if (typeof value === "number" && value >= 0) return value;
+  const match = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB)?$/i);
+  if (!match) {
+    throw new Error(`Invalid size "${value}", expected e.g. 500KB or 2MB`);
+  }
+  return Math.round(Number(match[1]) * UNITS[(match[2] || "B").toUpperCase()]);
+}
+
+// A budget is a total size, or sizes per role plus an optional `total`.
+function resolveBudget(budget) {
+  if (budget === undefined || budget === null) return {};
+  if (typeof budget !== "object") return { total: parseBytes(budget) };
+  const resolved = {};
+  for (const [key, value] of Object.entries(budget)) {
+    if (key !== "total" && !ROLE_LABELS[key]) {
+      throw new Error(
+        `Unknown budget "${key}", expected total or one of ${Object.keys(
+          ROLE_LABELS
+        ).join(", ")}`
+      );
+    }
+    resolved[key] = parseBytes(value);
+  }
+  return resolved;
+}
+
+// Sizes of the generated files per role and in total, everything that ends
+// up in the service worker's precache, against the budget. `exceeded`
+// lists the rows over their budget.
+function createSizeReport(assets, results, budget = {}) {
+  const bytesByName = new Map(
+    results.map((result) => [result.name, result.bytes || 0])
+  );
+  const rows = [];
+  for (const asset of assets) {
+    if (!bytesByName.has(asset.name)) continue;
+    let row = rows.find((candidate) => candidate.role === asset.role);
+    if (!row) {
+      row = {
+        role: asset.role,
+        label: ROLE_LABELS[asset.role] || asset.role,
+        files: 0,
+        bytes: 0,
+        budget: budget[asset.role],
+      };
+      rows.push(row);
+    }
+    row.files += 1;
+    row.bytes += bytesByName.get(asset.name);
+  }
+
+  const total = {
+    role: "total",
+    label: "Total",
+    files: rows.reduce((sum, row) => sum + row.files, 0),
+    bytes: rows.reduce((sum, row) => sum + row.bytes, 0),
+    budget: budget.total,
+  };
+  const exceeded = [...rows, total].filter(
+    (row) => row.budget !== undefined && row.bytes > row.budget
+  );
+  return { rows, total, exceeded };
+}
+
+module.exports = {
+  parseBytes,
+  resolveBudget,
+  createSizeReport,
+};
@@ -0,0 +1,127 @@
+// iOS devices grouped by screen size. Sizes are CSS pixels in portrait, the
+// splash screen image is that size times the pixel ratio.
+const appleDevices = [
+  {
+    devices: "iPhone 16 Pro Max, 17 Pro Max",
+    width: 440,
+    height: 956,
+    ratio: 3,
+  },
+  { devices: "iPhone Air", width: 420, height: 912, ratio: 3 },
+  { devices: "iPhone 16 Pro, 17, 17 Pro", width: 402, height: 874, ratio: 3 },
+  {
+    devices: "iPhone 14 Pro Max, 15 Plus, 15 Pro Max, 16 Plus",
+    width: 430,
+    height: 932,
+    ratio: 3,
+  },
+  {
+    devices: "iPhone 14 Pro, 15, 15 Pro, 16",
+    width: 393,
+    height: 852,
+    ratio: 3,
+  },
+  {
+    devices: "iPhone 12 Pro Max, 13 Pro Max, 14 Plus",
+    width: 428,
+    height: 926,
+    ratio: 3,
+  },
+  {
+    devices: "iPhone 12, 12 Pro, 13, 13 Pro, 14, 16e",
+    width: 390,
+    height: 844,
+    ratio: 3,
+  },
+  { devices: "iPhone 12 mini, 13 mini", width: 360, height: 780, ratio: 3 },
+  { devices: "iPhone XS Max, 11 Pro Max", width: 414, height: 896, ratio: 3 },
+  { devices: "iPhone XR, 11", width: 414, height: 896, ratio: 2 },
+  { devices: "iPhone X, XS, 11 Pro", width: 375, height: 812, ratio: 3 },
+  {
+    devices: "iPhone 6 Plus, 7 Plus, 8 Plus",
+    width: 414,
+    height: 736,
+    ratio: 3,
+  },
+  {
+    devices: "iPhone 6, 7, 8, SE (2nd and 3rd gen)",
+    width: 375,
+    height: 667,
+    ratio: 2,
+  },
+  {
+    devices: "iPhone 5, SE (1st gen), iPod touch",
+    width: 320,
+    height: 568,
+    ratio: 2,
+  },
+  { devices: "iPad Pro 13-inch (M4)", width: 1032, height: 1376, ratio: 2 },
+  {
+    devices: "iPad Pro 12.9-inch, iPad Air 13-inch",
+    width: 1024,
+    height: 1366,
+    ratio: 2,
+  },
+  { devices: "iPad Pro 11-inch (M4)", width: 834, height: 1210, ratio: 2 },
+  { devices: "iPad Pro 11-inch", width: 834, height: 1194, ratio: 2 },
+  {
+    devices: "iPad Air 10.9-inch, 11-inch, iPad 10th gen",
+    width: 820,
+    height: 1180,
+    ratio: 2,
+  },
+  {
+    devices: "iPad Air 10.5-inch, iPad Pro 10.5-inch",
+    width: 834,
+    height: 1112,
+    ratio: 2,
+  },
+  { devices: "iPad 10.2-inch", width: 810, height: 1080, ratio: 2 },
+  {
+    devices: "iPad mini (6th gen and later)",
+    width: 744,
+    height: 1133,
+    ratio: 2,
+  },
+  {
+    devices: "iPad mini, iPad Air, iPad 9.7-inch",
+    width: 768,
+    height: 1024,
+    ratio: 2,
+  },
+];
+
+// Share of the shorter splash screen side taken up by the logo
+const DEFAULT_SPLASH_LOGO_RATIO = 0.25;
+
+// One portrait and one landscape splash screen per device, with the media
+// query iOS matches against for apple-touch-startup-image. With a `scheme`,
+// the query also matches prefers-color-scheme, and dark screens get their
+// own file names.
+function getSplashScreens({ scheme } = {}) {
+  const prefix = scheme === "dark" ? "apple-splash-dark" : "apple-splash";
+  const colorScheme = scheme ? ` and (prefers-color-scheme: ${scheme})` : "";
+
+  return appleDevices.flatMap(({ devices, width, height, ratio }) =>
+    ["portrait", "landscape"].map((orientation) => {
+      const portrait = orientation === "portrait";
+      const pixelWidth = (portrait ? width : height) * ratio;
+      const pixelHeight = (portrait ? height : width) * ratio;
+      return {
+        name: `${prefix}-${pixelWidth}x${pixelHeight}.png`,
+        devices,
+        orientation,
+        scheme,
+        width: pixelWidth,
+        height: pixelHeight,
+        media: `screen and (device-width: ${width}px) and (device-height: ${height}px) and (-webkit-device-pixel-ratio: ${ratio}) and (orientation: ${orientation})${colorScheme}`,
+      };
+    })
+  );
+}
+
+module.exports = {
+  appleDevices,
+  DEFAULT_SPLASH_LOGO_RATIO,
+  getSplashScreens,
+};
@@ -0,0 +1,173 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const chalk = require("chalk");
+const { createTwoFilesPatch } = require("diff");
+
+// All changes the CLI makes to a project go through a writer, so a dry run
+// can record them instead of touching the disk or running commands, and a
+// journal can back up whatever is about to change.
+function createWriter({ dryRun = false, journal = null } = {}) {
+  const changes = new Map();
+  const commands = [];
+
+  function getAction(file, content) {
+    if (changes.has(file)) return changes.get(file).action;
+    if (!fs.existsSync(file)) return "create";
+    if (typeof content !== "string") {
+      return fs.readFileSync(file).equals(content) ? "unchanged" : "overwrite";
+    }
+    return fs.readFileSync(file, "utf8") === content ? "unchanged" : "modify";
+  }
+
+  return {
+    dryRun,
+    changes,
+    commands,
+
+    // Returns the pending content in a dry run, otherwise what's on disk.
+    readFile(file, encoding) {
+      if (changes.has(file)) {
+        const { content } = changes.get(file);
+        return encoding && Buffer.isBuffer(content)
+          ? content.toString(encoding)
+          : content;
+      }
+      return fs.readFileSync(file, encoding);
+    },
+
+    exists(file) {
+      if (changes.has(file)) return changes.get(file).action !== "delete";
+      return fs.existsSync(file);
+    },
+
+    mkdir(dir) {
+      if (dryRun) return;
+      if (journal) journal.trackDir(dir);
+      fs.mkdirSync(dir, { recursive: true });
+    },
+
+    // Backs up files that something other than the writer, such as a
+    // package install, is about to change.
+    track(files) {
+      if (dryRun || !journal) return;
+      files.forEach((file) => journal.track(file));
+    },
+
+    writeFile(file, content) {
+      const action = getAction(file, content);
+      const previous = changes.get(file);
+      let before = previous ? previous.before : null;
+      if (!previous && typeof content === "string" && fs.existsSync(file)) {
+        before = fs.readFileSync(file, "utf8");
+      }
+      changes.set(file, { action, before, content });
+
+      if (!dryRun && action !== "unchanged") {
+        if (journal) journal.track(file);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+      }
+      return action;
+    },
+
+    // Deletes a file, the journal keeps a copy so undo can restore it.
+    removeFile(file) {
+      if (changes.get(file)?.action === "delete" || !fs.existsSync(file)) {
+        return;
+      }
+      const before = fs.readFileSync(file);
+      changes.set(file, { action: "delete", before, content: null });
+
+      if (!dryRun) {
+        if (journal) journal.track(file);
+        fs.unlinkSync(file);
+      }
+    },
+
+    // Removes a directory once the files in it are deleted. Directories with
+    // other files in them stay.
+    removeDir(dir) {
+      if (changes.get(dir)?.action === "delete" || !fs.existsSync(dir)) return;
+      const empty = fs
+        .readdirSync(dir)
+        .every(
+          (name) => changes.get(path.posix.join(dir, name))?.action === "delete"
+        );
+      if (!empty) return;
+      changes.set(dir, { action: "delete", before: "", content: null });
+
+      if (!dryRun) {
+        if (journal) journal.trackDirRemoval(dir);
+        fs.rmdirSync(dir);
+      }
+    },
+
+    exec(command, options) {
+      commands.push(command);
+      if (!dryRun) execSync(command, options);
+    },
+  };
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function colorDiffLine(line) {
+  if (line.startsWith("+++") || line.startsWith("---")) return chalk.bold(line);
+  if (line.startsWith("+")) return chalk.green(line);
+  if (line.startsWith("-")) return chalk.red(line);
+  if (line.startsWith("@@")) return chalk.cyan(line);
+  return line;
+}
+
+// Prints the files a dry run would create, overwrite, modify or delete, with
+// unified diffs for text files, followed by the commands it would run.
+function printPlan(writer) {
+  const labels = {
+    create: chalk.green("create   "),
+    overwrite: chalk.yellow("overwrite"),
+    modify: chalk.yellow("modify   "),
+    unchanged: chalk.gray("unchanged"),
+    delete: chalk.red("delete   "),
+  };
+
+  console.log(chalk.blue("\nDry run: planned changes"));
+  for (const [file, { action, before, content }] of writer.changes) {
+    const data = action === "delete" ? before : content;
+    const size =
+      typeof data === "string"
+        ? ""
+        : chalk.gray(` (${formatBytes(data.length)})`);
+    console.log(`  ${labels[action]} ${file}${size}`);
+  }
+
+  for (const [file, { action, before, content }] of writer.changes) {
+    if (typeof content !== "string" || action === "unchanged") continue;
+    const patch = createTwoFilesPatch(
+      action === "create" ? "/dev/null" : `a/${file}`,
+      `b/${file}`,
+      before || "",
+      content
+    );
+    console.log("");
+    patch
+      .split("\n")
+      .filter((line) => !/^(Index:|====)/.test(line))
+      .forEach((line) => console.log(colorDiffLine(line)));
+  }
+
+  if (writer.commands.length > 0) {
+    console.log(chalk.blue("\nCommands that would run:"));
+    writer.commands.forEach((command) => console.log(`  $ ${command}`));
+  }
+
+  console.log(
+    chalk.yellow("\nNothing was written. Run without --dry-run to apply.")
+  );
+}
+
+module.exports = { createWriter, formatBytes, printPlan };